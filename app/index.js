@@ -1,6 +1,22 @@
 /* jshint esversion: 6 */
 
 import MyTimer from "./mytimer.class";
+import {VirtualClock} from "./mytimer.clock";
+import {MemoryStorage, LocalStorage} from "./mytimer.storage";
+import Journal from "./mytimer.journal";
+import Statistics from "./mytimer.statistics";
+import {toEventTarget, toEventEmitter} from "./mytimer.interop";
+import TimerSequence from "./mytimer.sequence";
+import TurnClock from "./mytimer.turnclock";
 export default {
-  MyTimer: MyTimer
+  MyTimer: MyTimer,
+  VirtualClock: VirtualClock,
+  MemoryStorage: MemoryStorage,
+  LocalStorage: LocalStorage,
+  Journal: Journal,
+  Statistics: Statistics,
+  toEventTarget: toEventTarget,
+  toEventEmitter: toEventEmitter,
+  TimerSequence: TimerSequence,
+  TurnClock: TurnClock
 };
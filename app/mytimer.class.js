@@ -3,6 +3,10 @@ import "babel-polyfill";
 import Defaults from "./mytimer.defaults";
 import {isObject} from "./mytimer.helpers";
 import ObjectError from "./mytimer.customerror";
+import {createTickIterator, createTickObservable} from "./mytimer.streams";
+import EventBus from "./mytimer.events";
+import formatDuration from "./mytimer.format";
+import {units, registerUnit, unregisterUnit} from "./mytimer.units";
 import messages from "./mytimer.messages";
 
 /** @type {WeakMap} Used to store private objects */
@@ -20,6 +24,117 @@ const createPrivateObject = (obj) => {
   return () => _privateObjects.get(obj);
 };
 
+/**
+ * Ends the session of the counting or paused timer.
+ * The session is either:
+ * - "completed": the session ellapsed (or the timer was stopped in overtime),
+ *   the timer's status becomes "finished", "sessionCompleted" and "sessionStopped" events are published,
+ * - "stopped": the timer was stopped early, the timer's status becomes "stopped",
+ *   "sessionStopped" event is published.
+ *
+ * @param   {MyTimer}          timer
+ * @param   {String}           reason  "completed" or "stopped".
+ * @returns {MyTimer|Boolean}          False if the timer was neither counting nor paused.
+ */
+const endSession = (timer, reason) => {
+  let _this = _privateObjects.get(timer);
+  if (_this.is_counting || _this.is_paused) {
+    /** The paused timer has already cumulated the ellapsed time.
+        The completed session has been already clamped to its length.
+        */
+    let errors = [];
+    if (_this.is_counting && reason !== "completed") {
+      _this.tick();
+      errors = reachMilestones(timer);
+    }
+    /** The session stopped in overtime has been completed. */
+    if (_this.overtime && _this.isEllapsed) reason = "completed";
+    _this.cumulateEllapsed();
+    _this.stopReason = reason;
+    if (reason === "completed") {
+      _this.is_finished = true;
+    } else {
+      _this.is_stopped = true;
+    }
+    _this.endEntry();
+    if (_this.removeCountDown) {
+      _this.removeCountDown();
+      delete _this.removeCountDown;
+    }
+    /** garbage collection */
+    try {
+      if (reason === "completed") timer.event.publish("sessionCompleted", {reason: reason});
+    } finally {
+      /** Published even if "sessionCompleted" listeners' error is rethrown. */
+      timer.event.publish("sessionStopped", {reason: reason});
+      if (_this.safeMode) timer.event.unsubscribe(["currentTime", "sessionPaused", "sessionCompleted", "sessionStopped"]);
+      _this = null;
+    }
+    if (errors.length > 0) throw errors[0];
+    return timer;
+  }
+  _this = null;
+  return false;
+};
+
+/**
+ * Creates the error that rejects promises when the signal aborts.
+ *
+ * @param   {AbortSignal}   signal
+ * @returns {Error}                 The signal's reason if it has one.
+ */
+const abortError = (signal) => {
+  if (signal.reason !== undefined) return signal.reason;
+  const error = new ObjectError(messages.sessionAborted);
+  error.name = "AbortError";
+  return error;
+};
+
+/**
+ * Saves the timer to its storage, if the event is one of the autoSaveEvents.
+ * The adapter's errors (e.g. exceeded quota) do not stop the timer, they are only reported.
+ *
+ * @param {MyTimer} timer
+ * @param {String}  eventName
+ */
+const autoSave = (timer, eventName) => {
+  const _this = _privateObjects.get(timer);
+  if (_this && _this.storage && _this.autoSaveEvents.includes(eventName)) {
+    try {
+      timer.save();
+    } catch (error) {
+      /** Published as "error" event (with eventName "storage"), but never rethrown. */
+      if (!timer.event.report(error, "storage", _this.storage.adapter)) {
+        console.warn(messages.notSavedToStorage);
+      }
+    }
+  }
+};
+
+/**
+ * Calls the callbacks of the milestones that the timer has reached.
+ * The callbacks' errors are handled as the listeners' errors (see EventBus):
+ * published as "error" event (with eventName "milestone") or logged in console,
+ * the milestone is removed by "unsubscribe" policy.
+ * The errors do not stop the timer. By "rethrow" policy the caller throws them,
+ * after the timer's state has been updated.
+ *
+ * @param   {MyTimer} timer
+ * @param   {Boolean} fire   If false, the callbacks are not called (see evaluateMilestones).
+ * @returns {Array}          Errors to be rethrown.
+ */
+const reachMilestones = (timer, fire = true) => {
+  const _this = _privateObjects.get(timer);
+  const policy = timer.event.errorPolicy;
+  return _this.evaluateMilestones(fire).map(({error, milestone}) => {
+    if (policy === "unsubscribe") _this.removeMilestone(milestone);
+    if (!timer.event.report(error, "milestone", milestone.callback) && policy !== "rethrow") {
+      console.error(error);
+    }
+    return error;
+  }).filter(() => policy === "rethrow");
+};
+
 export default class MyTimer {
   /**
    * [constructor description] //TODO
@@ -34,24 +149,77 @@ export default class MyTimer {
 
     /** verify arguments */
     if (timerOptions && isObject(timerOptions)) {
+      /** Set the clock used for counting. */
+      if (timerOptions.clock) {
+        try {
+          _this.clock = timerOptions.clock;
+        } catch (e) {
+          /** Warn: initialised with defaults. */
+          console.warn(messages.initialisedWithDefaults);
+        }
+      }
+
+      /** Set the storage the timer is saved to. */
+      if (timerOptions.storage) {
+        try {
+          _this.storage = timerOptions.storage;
+        } catch (e) {
+          /** Warn: initialised with defaults. */
+          console.warn(messages.initialisedWithDefaults);
+        }
+      }
+
+      /** Record the sessions in the journal. */
+      if (timerOptions.journal) {
+        try {
+          _this.journal = timerOptions.journal;
+        } catch (e) {
+          /** Warn: initialised with defaults. */
+          console.warn(messages.initialisedWithDefaults);
+        }
+      }
+
+      /** Set smooth mode before the steps, so the interval step is smoothed. */
+      if (timerOptions.smooth !== undefined) {
+        try {
+          _this.smooth = timerOptions.smooth;
+        } catch (e) {
+          /** Warn: initialised with defaults. */
+          console.warn(messages.initialisedWithDefaults);
+        }
+      }
+
+      /** Keep counting after the session has ellapsed. */
+      if (timerOptions.overtime !== undefined) {
+        try {
+          _this.overtime = timerOptions.overtime;
+        } catch (e) {
+          /** Warn: initialised with defaults. */
+          console.warn(messages.initialisedWithDefaults);
+        }
+      }
+
+      /** Set how the time is rounded to the countUnits. */
+      if (timerOptions.rounding !== undefined) {
+        try {
+          _this.rounding = timerOptions.rounding;
+        } catch (e) {
+          /** Warn: initialised with defaults. */
+          console.warn(messages.initialisedWithDefaults);
+        }
+      }
+
       /** verify session and interval steps */
       if (isObject(timerOptions.steps)) {
         for (let step of _this.steps.keys()) {
           let options = timerOptions.steps[step];
           /** Check:
               are there options?
-              are options an object?
+              are options an object or a duration's string?
               */
-          if (options && isObject(options)) {
+          if (options && (isObject(options) || typeof options === "string")) {
             try {
               _this[step] = options;
-              /** Adjust interval value. Done here, because:
-                  if interval step is set incorrectly then
-                  the Error will be caught and smoothing will not be performed.
-                  **/
-              if (step === "interval" && _this.smooth === "yes") {
-                _this.smoothInterval();
-              }
             } catch(e) {
               /** Warn: initialised with defaults. */
               if (e.constructor === ObjectError) {
@@ -77,6 +245,16 @@ export default class MyTimer {
         }
       }
 
+      /** Count up without the session's limit. After the direction, because the stopwatch counts up. */
+      if (timerOptions.stopwatch !== undefined) {
+        try {
+          _this.stopwatch = timerOptions.stopwatch;
+        } catch (e) {
+          /** Warn: initialised with defaults. */
+          console.warn(messages.initialisedWithDefaults);
+        }
+      }
+
       /** Are countUnits provided in arguments? */ // TODO is the check needed??
         try {
           _this.countUnits = timerOptions.countUnits;
@@ -92,30 +270,44 @@ export default class MyTimer {
         */
     _this.createTimeMethods.call(this, _this);
 
-    /** Create MyTimer's events. */
-    this.event = (() => {
-      let listeners = _this.listeners;
-      return {
-        subscribe: (listener, eventName, method) => {
-          // TODO check if eventName is correct
-          const index = listeners[eventName].push({listener: listener, method: method}) - 1;
-          return () => delete listeners[eventName][index];
-        },
-        publish: (eventName) => {
-          listeners[eventName].forEach((listener) => {
-            listener.listener[listener.method]();
-          });
-        },
-        unsubscribe: (events =  _privateObjects.get(this).events) => {
-          events.forEach((eventName) => {
-            Object.keys(listeners[eventName]).forEach((index) => {
-              delete listeners[eventName][index];
-            });
-          });
-          return true;
-        }
-      };
-    })();
+    /** Create MyTimer's events.
+        Listeners receive the payload with the event's name and the current time (see timeData).
+        */
+    this.event = new EventBus(_this.events, {
+      listeners: _this.listeners,
+      payload: (eventName, data) => {
+        const _this = _privateObjects.get(this);
+        return Object.assign(
+          {event: eventName},
+          _this? _this.timeData() : {},
+          {timestamp: _this? _this.clock.now() : undefined},
+          data
+        );
+      },
+      published: (eventName) => autoSave(this, eventName)
+    });
+
+    /** Set the policy of handling the errors thrown by listeners. */
+    if (timerOptions && isObject(timerOptions) && timerOptions.listenerErrors) {
+      try {
+        this.event.errorPolicy = timerOptions.listenerErrors;
+      } catch (e) {
+        /** Warn: initialised with defaults. */
+        console.warn(messages.initialisedWithDefaults);
+      }
+    }
+
+    /** Rehydrate the timer saved in the storage. */
+    if (_this.storage) {
+      let data = null;
+      try {
+        data = _this.storage.adapter.load(_this.storage.key);
+        if (data) this.restore(data);
+      } catch (e) {
+        console.warn(messages.notRestoredFromStorage);
+      }
+      data = null;
+    }
     _this = null;
   }
 
@@ -123,38 +315,94 @@ export default class MyTimer {
     /** Start the timer only if it has not been counting already. */
     if (!_privateObjects.get(this).is_counting) {
       let _this = _privateObjects.get(this);
-      /** Function tha publishes currentTime. It is called at intervals.*/
+      /** Function that publishes currentTime and schedules its next call. */
       let publishTime = () => {
+        _this.tick();
+        /** The clock called back before the time was due (e.g. its delay was capped): wait again. */
+        if (_this.now < _this.tickDue) {
+          _this.rescheduleCountDown();
+          return;
+        }
         if (!_this.isEllapsed) {
-          _this.now = Date.now();
+          /** The session might have been extended in overtime. */
+          _this.overtimeReached = false;
+          /** Schedule first, so neither the callbacks' nor the listeners' errors stop the timer. */
+          _this.rescheduleCountDown();
+          const errors = reachMilestones(this);
+          _this.publishedTime = _this.shownTime;
           this.event.publish("currentTime");
+          if (errors.length > 0) throw errors[0];
+        } else if (_this.overtime) {
+          /** Keep counting after the session has ellapsed.
+              The time already shown (e.g. 0 seconds of the floored countdown) is not published again.
+              */
+          const reached = !_this.overtimeReached;
+          _this.overtimeReached = true;
+          _this.rescheduleCountDown();
+          const errors = reachMilestones(this);
+          const changed = (_this.shownTime !== _this.publishedTime);
+          _this.publishedTime = _this.shownTime;
+          try {
+            if (changed) this.event.publish("currentTime");
+          } finally {
+            if (reached) this.event.publish("sessionOvertime", {session: _this.session});
+          }
+          if (errors.length > 0) throw errors[0];
         } else {
-          this.stop();
+          const errors = reachMilestones(this);
+          delete _this.countDown;
+          /** The last published time is exactly the end of the session.
+              It is not published again, if it has been already shown
+              (e.g. the floored countdown shows 0 seconds during its last second).
+              */
+          _this.clampToSession();
+          try {
+            if (_this.shownTime !== _this.publishedTime) this.event.publish("currentTime");
+          } finally {
+            endSession(this, "completed");
+          }
+          if (errors.length > 0) throw errors[0];
         }
       };
-      /** If the timer has not been paused then start counting from Date.now().
+      /** If the timer has not been paused then start counting from the clock's now.
           If the time has been paused one cannot change the start time!
           */
       if(!_this.is_paused) {
         this.reset();
+        _this.beginEntry();
       } else {
         _this.zeroTimes();
+        _this.resumeEntry();
       }
       _this.is_counting = true;
-      /** Publish time at predefined intervals. */
-      _this.countDown = setInterval(publishTime, _this.interval);
-      /** The method clears interval and dereferences _this.
+      /** The method (re)schedules publishing of the time.
+          It is called also when the interval has changed while counting.
+          The ellapsed time is not affected.
+          */
+      _this.rescheduleCountDown = () => {
+        if (_this.countDown !== undefined) {
+          _this.clock.clearTimer(_this.countDown);
+        }
+        _this.tick();
+        /** Publish time whenever the shortest countUnit changes. */
+        const delay = _this.nextTickDelay();
+        _this.tickDue = _this.now + delay;
+        _this.countDown = _this.clock.setTimer(publishTime, delay);
+      };
+      _this.rescheduleCountDown();
+      /** The method clears the timer and dereferences _this.
           It is done to avoid the memory leak.
           */
-      _this.removeCountDown = () => { //TUTAJ
-        if (_this.countDown) {
-          clearInterval(_this.countDown);
+      _this.removeCountDown = () => {
+        if (_this.countDown !== undefined) {
+          _this.clock.clearTimer(_this.countDown);
           delete _this.countDown;
         }
+        delete _this.rescheduleCountDown;
         _this = null;
         publishTime = null;
       };
-      this.event.publish(["sessionStarted"]);
+      this.event.publish("sessionStarted");
       if (_this.safeMode) this.event.unsubscribe(["sessionStarted"]);
       return this;
     } else {
@@ -163,32 +411,24 @@ export default class MyTimer {
   }
 
   stop() {
-    let _this = _privateObjects.get(this);
-    if (_this.is_counting || _this.is_paused) {
-      _this.cumulateEllapsed();
-      _this.is_stopped = true;
-      _this.removeCountDown();
-      delete _this.removeCountDown;
-      /** garbage collection */
-      this.event.publish("sessionStopped");
-      if (_this.safeMode) this.event.unsubscribe(["currentTime", "sessionPaused", "sessionStopped"]);
-      _this = null;
-      return this;
-    }
-    _this = null;
-    return false;
+    return endSession(this, "stopped");
   }
 
   pause() {
     let _this = _privateObjects.get(this);
     if (_this.is_counting) {
+      _this.tick();
+      const errors = reachMilestones(this);
       _this.cumulateEllapsed();
       _this.is_paused = true;
+      _this.pauseEntry();
       _this.removeCountDown();
+      delete _this.removeCountDown;
       /** garbage collection */
       this.event.publish("sessionPaused");
       if (_this.safeMode) this.event.unsubscribe(["sessionPaused"]);
       _this = null;
+      if (errors.length > 0) throw errors[0];
       return this;
     }
     _this = null;
@@ -210,6 +450,9 @@ export default class MyTimer {
   *                             "step", "value" and
   *                             optional properties:
   *                             "units", "sign" and "increment".
+  *                             The "value" can be a duration's string, e.g. "1h 30m", "25:00" or "PT1H30M",
+  *                             then the "units" are ignored.
+  * @throws  {ObjectError}      If the value or the units are incorrect.
   */
   changeStep(options) {
     let _this = _privateObjects.get(this);
@@ -251,11 +494,21 @@ export default class MyTimer {
                 */
             if ((!_this.is_counting && !_this.is_paused) || (value > (_this.ellapsed))) {
               _this[step] = {value: value};
-              this.event.publish("sessionChanged");
+              if (_this.is_counting) {
+                /** The end of the session and the milestones might have moved. */
+                _this.rescheduleCountDown();
+              }
+              /** Milestones are reached only while the session lasts. */
+              const errors = reachMilestones(this, _this.is_counting || _this.is_paused);
+              this.event.publish("sessionChanged", {session: value});
+              if (errors.length > 0) throw errors[0];
             }
           },
-          "interval": () => {
-            // TODO
+          "interval": (value) => {
+            _this[step] = {value: value, units: "milliseconds"};
+            /** Apply the new interval immediately. */
+            if (_this.is_counting) _this.rescheduleCountDown();
+            this.event.publish("intervalChanged", {interval: _this.interval});
           }
         };
         stepProcedure[step](value);
@@ -273,6 +526,332 @@ export default class MyTimer {
     }
 	}
 
+  /**
+   * Ends the current lap and starts the next one. Publishes "lap" event with the lap.
+   *
+   * @returns {Object|Boolean} The lap: number, duration, cumulative (split time) and units
+   *                           (duration and cumulative broken down by countUnits).
+   *                           False if the timer is neither counting nor paused.
+   */
+  lap() {
+    let _this = _privateObjects.get(this);
+    if (_this.is_counting || _this.is_paused) {
+      /** The paused timer has already cumulated the ellapsed time. */
+      if (_this.is_counting) _this.tick();
+      const lap = _this.addLap();
+      this.event.publish("lap", {lap: lap});
+      _this = null;
+      return lap;
+    }
+    _this = null;
+    return false;
+  }
+
+  /**
+   * Records the split time. Each lap has both the lap's duration and the split (cumulative) time,
+   * so split is the alias of lap.
+   *
+   * @returns {Object|Boolean} See lap.
+   */
+  split() {
+    return this.lap();
+  }
+
+  /**
+   * Changes the counting direction, also while counting.
+   * The ellapsed time is not affected, only the time the timer shows.
+   *
+   * @param   {String}    direction  "up" or "down".
+   * @returns {Boolean}              False if the timer already counts in the direction.
+   * @throws  {ObjectError}          If the direction is incorrect.
+   */
+  setDirection(direction) {
+    let _this = _privateObjects.get(this);
+    const previous = _this.direction;
+    try {
+      _this.direction = direction;
+    } catch (e) {
+      _this = null;
+      throw e;
+    }
+    if (direction === previous) {
+      _this = null;
+      return false;
+    }
+    /** The time changes at other moments in the other direction. */
+    if (_this.is_counting) _this.rescheduleCountDown();
+    this.event.publish("directionChanged", {direction: direction, previous: previous});
+    _this = null;
+    return true;
+  }
+
+  /**
+   * Changes the countUnits, also while counting.
+   * The methods of the units that are no longer counted (currentTime_*, sessionLength_*) are deleted
+   * and the methods of the new units are created.
+   *
+   * @param   {Array}    countUnits  E.g. ["minutes", "seconds"].
+   * @returns {Boolean}              True if the countUnits have been changed.
+   * @throws  {ObjectError}          If the countUnits are incorrect.
+   */
+  setCountUnits(countUnits) {
+    let _this = _privateObjects.get(this);
+    const previous = _this.countUnits.slice();
+    const interval = _this.interval;
+    try {
+      /** Copy, because the setter sorts the countUnits. */
+      _this.countUnits = Array.isArray(countUnits)? countUnits.slice() : countUnits;
+    } catch (e) {
+      _this = null;
+      throw new ObjectError (messages.countUnitsNotChanged);
+    }
+    _this.removeTimeMethods.call(this, previous);
+    _this.createTimeMethods.call(this, _this);
+    /** The shortest countUnit might have changed, so the time is published at other moments. */
+    if (_this.is_counting) _this.rescheduleCountDown();
+    this.event.publish("countUnitsChanged", {countUnits: _this.countUnits.slice(), previous: previous});
+    /** In smooth mode the interval is derived from the shortest countUnit. */
+    if (_this.interval !== interval) this.event.publish("intervalChanged", {interval: _this.interval});
+    _this = null;
+    return true;
+  }
+
+  /**
+   * Returns the promise that resolves when the session ends.
+   * The promise resolves with the result: reason ("completed" or "stopped"),
+   * completed (true or false), ellapsed and session.
+   * If the session has already ended, the promise resolves with its result at once.
+   *
+   * @param   {Object}        options
+   * @param   {AbortSignal}   options.signal  When aborted the timer stops and
+   *                                          the promise rejects with the signal's reason.
+   * @returns {Promise}
+   */
+  finished({signal} = {}) {
+    return new Promise((resolve, reject) => {
+      if (signal && signal.aborted) {
+        this.stop();
+        reject(abortError(signal));
+        return;
+      }
+      const _this = _privateObjects.get(this);
+      if ((_this.is_finished || _this.is_stopped) && _this.stopReason !== null) {
+        resolve(_this.result);
+        return;
+      }
+      let subscription = null;
+      const onAbort = () => {
+        /** The promise rejects, so it does not wait for the session's end. */
+        subscription.remove();
+        signal.removeEventListener("abort", onAbort);
+        this.stop();
+        reject(abortError(signal));
+      };
+      const listener = {
+        stopped: () => {
+          subscription.remove();
+          if (signal) signal.removeEventListener("abort", onAbort);
+          resolve(_privateObjects.get(this).result);
+        }
+      };
+      subscription = this.event.subscribe(listener, "sessionStopped", "stopped");
+      if (signal) signal.addEventListener("abort", onAbort);
+    });
+  }
+
+  /**
+   * Starts the timer and returns the promise that resolves when the session ends
+   * (see finished).
+   *
+   * @param   {Object}    options The same as finished's options.
+   * @returns {Promise}
+   */
+  startAsync(options = {}) {
+    if (options.signal && options.signal.aborted) {
+      return Promise.reject(abortError(options.signal));
+    }
+    /** Start first, so the promise waits for the new session, not the previous one. */
+    this.start();
+    return this.finished(options);
+  }
+
+  /**
+   * Returns the async iterator of ticks: objects describing the published time
+   * (time, ellapsed, remaining, units, status and timestamp).
+   * The iteration ends when the session ends.
+   *
+   * for await (const tick of timer.ticks()) { ... }
+   *
+   * @returns {Object}
+   */
+  ticks() {
+    return createTickIterator(this, () => _privateObjects.get(this).timeData());
+  }
+
+  /**
+   * Returns the Observable (compatible with Symbol.observable) of ticks (see ticks).
+   * Observers complete when the session ends.
+   *
+   * @returns {Object}
+   */
+  observe() {
+    return createTickObservable(this, () => _privateObjects.get(this).timeData());
+  }
+
+  /**
+   * Calls the callback once, when the timer reaches the milestone.
+   * The milestone is reached again only if the timer crosses it again,
+   * e.g. after the session is extended or the timer is restarted.
+   *
+   * @param   {Object}     milestone  One of:
+   *                                  {remaining: {value: 5, units: "minutes"}},
+   *                                  {elapsed: {value: 5, units: "minutes"}},
+   *                                  {percent: 50}.
+   * @param   {Function}   callback   Called with object: milestone, ellapsed and remaining.
+   * @returns {Object}                Object with "remove" method.
+   */
+  at(milestone, callback) {
+    let _this = _privateObjects.get(this);
+    /** The milestone whose target has already passed is reached. */
+    if (_this.is_counting) _this.tick();
+    let added = _this.addMilestone(milestone, callback);
+    /** Wake up exactly when the milestone is reached. */
+    if (_this.is_counting) _this.rescheduleCountDown();
+    _this = null;
+    return {
+      remove: () => {
+        const _this = _privateObjects.get(this);
+        const removed = Boolean(_this) && _this.removeMilestone(added);
+        added = null;
+        return removed;
+      }
+    };
+  }
+
+  /**
+   * Formats the timer's time: the remaining time if the timer counts down,
+   * the ellapsed time otherwise. The time is rounded as the timer's rounding option says.
+   *
+   * timer.format("HH:mm:ss.SSS");  // "00:24:59.500"
+   * timer.format("long");          // "24 minutes 59 seconds"
+   *
+   * @param   {String}   pattern  See MyTimer.formatDuration.
+   * @param   {Object}   options  See MyTimer.formatDuration.
+   * @returns {String}
+   */
+  format(pattern, options) {
+    const _this = _privateObjects.get(this);
+    return formatDuration(_this.roundTime(_this.time()), pattern, options);
+  }
+
+  /**
+   * Formats the duration.
+   *
+   * @param   {Number}   ms       Duration in milliseconds.
+   * @param   {String}   pattern  "long", "iso" or template with tokens: d, H, HH, m, mm, s, ss, S, SS, SSS,
+   *                              e.g. "HH:mm:ss". Text in square brackets is not replaced.
+   * @param   {Object}   options  hideLeadingZeros (template), locale, labels and units (long form).
+   * @returns {String}
+   */
+  static formatDuration(ms, pattern, options) {
+    return formatDuration(ms, pattern, options);
+  }
+
+  /**
+   * Registers the unit, that can be used in countUnits, steps and milestones of all the timers.
+   *
+   * MyTimer.registerUnit("fortnights", 1209600000);
+   *
+   * @param   {String}   name  Name of the unit, e.g. "fortnights".
+   * @param   {Number}   ms    Length of the unit in milliseconds (positive integer).
+   * @throws  {ObjectError}    If the name or the length is incorrect,
+   *                           the unit is already registered or the name is used by the timer.
+   */
+  static registerUnit(name, ms) {
+    /** Units' conversion methods are named after the units, so they cannot replace the timer's members. */
+    if (typeof name === "string" && !units.has(name) && name in new Defaults()) {
+      throw new ObjectError (`${messages.unitReserved} ${name}`);
+    }
+    registerUnit(name, ms);
+  }
+
+  /**
+   * Unregisters the unit registered by registerUnit.
+   *
+   * @param   {String}   name  Name of the unit, e.g. "fortnights".
+   * @throws  {ObjectError}    If the unit is not registered or it is one of the built-in units.
+   */
+  static unregisterUnit(name) {
+    unregisterUnit(name);
+  }
+
+  /**
+   * Returns the timer's state, that can be saved and restored later.
+   * Called by JSON.stringify.
+   *
+   * @returns {Object}
+   */
+  toJSON() {
+    return _privateObjects.get(this).snapshot();
+  }
+
+  /**
+   * Restores the timer's state saved by toJSON.
+   * If the timer was counting, it resumes counting with the time
+   * that passed since the timer was saved.
+   *
+   * @param   {Object|String}   data  Object returned by toJSON or its JSON.
+   * @returns {MyTimer}
+   */
+  restore(data) {
+    let _this = _privateObjects.get(this);
+    if (_this.is_counting || _this.is_paused) {
+      _this = null;
+      throw new ObjectError (messages.notRestoredWhenCounting);
+    }
+    if (typeof data === "string") {
+      try {
+        data = JSON.parse(data);
+      } catch (e) {
+        _this = null;
+        throw new ObjectError (messages.incorrectSnapshot);
+      }
+    }
+    const countUnits = _this.countUnits.slice();
+    _this.restore(data);
+    /** countUnits might have changed. */
+    _this.removeTimeMethods.call(this, countUnits);
+    _this.createTimeMethods.call(this, _this);
+    _this = null;
+    if (data.status === "counting") this.start();
+    return this;
+  }
+
+  /**
+   * Creates the timer from the state saved by toJSON.
+   *
+   * @param   {Object|String}   data          Object returned by toJSON or its JSON.
+   * @param   {Object}          timerOptions  Options that are not saved, e.g. clock.
+   * @returns {MyTimer}
+   */
+  static fromJSON(data, timerOptions) {
+    return new MyTimer(timerOptions).restore(data);
+  }
+
+  /**
+   * Saves the timer to the storage it was initialised with.
+   *
+   * @returns {Boolean} False if the timer has no storage.
+   */
+  save() {
+    const storage = _privateObjects.get(this).storage;
+    if (storage) {
+      storage.adapter.save(storage.key, this.toJSON());
+      return true;
+    }
+    return false;
+  }
+
   toggle(method = "stop") {
     try {
       if(!this[method]()) {
@@ -287,14 +866,72 @@ export default class MyTimer {
     return _privateObjects.get(this).status;
   }
 
+  /** Name of the status: "stopped", "counting", "paused" or "finished". */
+  get statusName() {
+    return _privateObjects.get(this).statusName;
+  }
+
   get session() {
     return _privateObjects.get(this).session;
   }
 
+  get interval() {
+    return _privateObjects.get(this).interval;
+  }
+
   get ellapsed() {
     return _privateObjects.get(this).ellapsed;
   }
 
+  /** The interval in smooth mode is derived from the countUnits. */
+  get smooth() {
+    return _privateObjects.get(this).smooth;
+  }
+
+  /** "up" or "down". */
+  get direction() {
+    return _privateObjects.get(this).direction;
+  }
+
+  /** If true the timer counts up without the session's limit. */
+  get stopwatch() {
+    return _privateObjects.get(this).stopwatch;
+  }
+
+  /**
+   * Laps of the current session (see lap), with the durations and
+   * the cumulative times broken down by countUnits.
+   *
+   * @returns {Array}
+   */
+  get laps() {
+    return _privateObjects.get(this).laps;
+  }
+
+  /** If true the timer keeps counting after the session has ellapsed. */
+  get overtime() {
+    return _privateObjects.get(this).overtime;
+  }
+
+  /** How the time is rounded to the countUnits: "floor", "ceil", "round" or "fractional". */
+  get rounding() {
+    return _privateObjects.get(this).rounding;
+  }
+
+  get clock() {
+    return _privateObjects.get(this).clock;
+  }
+
+  /** Why the last session ended: "completed", "stopped" or null if it has not ended. */
+  get stopReason() {
+    return _privateObjects.get(this).stopReason;
+  }
+
+  /** Journal of the sessions, null if the timer does not record them. */
+  get journal() {
+    return _privateObjects.get(this).journal;
+  }
+
   safeMode(value = true) {
     _privateObjects.get(this).safeMode = value;
   }
@@ -304,6 +941,12 @@ export default class MyTimer {
   }
 
   destroy() {
+    const _this = _privateObjects.get(this);
+    /** The scheduled publishing of the time would read the deleted private object. */
+    if (_this && _this.removeCountDown) {
+      _this.removeCountDown();
+      delete _this.removeCountDown;
+    }
     this.unsubscribe();
     return _privateObjects.delete(this);
   }
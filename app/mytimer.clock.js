@@ -0,0 +1,100 @@
+/* jshint esversion: 6 */
+
+/** The longest delay of setTimeout, longer delays overflow and call the callback at once. */
+const maxDelay = 2147483647;
+
+/**
+ * Clock used by MyTimer when no other clock is provided.
+ * Every clock has to implement:
+ * - now(): returns the current time in milliseconds,
+ * - setTimer(callback, delay): calls the callback once after the delay
+ *   and returns the timer's id,
+ * - clearTimer(id): cancels the timer.
+ *
+ * The system clock calls the callback of a longer delay than maxDelay too early,
+ * MyTimer then reschedules it.
+ *
+ * @type {Object}
+ */
+const systemClock = {
+  now: () => Date.now(),
+  setTimer: (callback, delay) => setTimeout(callback, Math.min(delay, maxDelay)),
+  clearTimer: (id) => clearTimeout(id)
+};
+
+/**
+ * Clock that does not move until it is advanced manually.
+ * It allows to drive MyTimer deterministically (e.g. in tests).
+ */
+class VirtualClock {
+  /**
+   * @param  {Number}   start The initial time in milliseconds.
+   */
+  constructor(start = 0) {
+    this.time = start;
+    this.timers = new Map();
+    this.lastId = 0;
+  }
+
+  now() {
+    return this.time;
+  }
+
+  setTimer(callback, delay = 0) {
+    this.lastId += 1;
+    this.timers.set(this.lastId, {
+      callback: callback,
+      due: this.time + Math.max(0, delay)
+    });
+    return this.lastId;
+  }
+
+  clearTimer(id) {
+    this.timers.delete(id);
+  }
+
+  /**
+   * Moves the time forward and calls the timers that become due,
+   * in the order of their due time.
+   * Timers set by the callbacks are called too, if they become due.
+   *
+   * @param   {Number}        ms Milliseconds to advance by.
+   * @returns {VirtualClock}     The clock, so calls can be chained.
+   */
+  advance(ms = 0) {
+    const target = this.time + ms;
+    let next = this.nextTimer(target);
+    while (next) {
+      this.timers.delete(next.id);
+      this.time = next.due;
+      next.callback();
+      next = this.nextTimer(target);
+    }
+    this.time = target;
+    return this;
+  }
+
+  /** Returns the earliest timer that is due not later than the target. */
+  nextTimer(target) {
+    let next = null;
+    this.timers.forEach((timer, id) => {
+      if (timer.due <= target && (!next || timer.due < next.due)) {
+        next = {id: id, due: timer.due, callback: timer.callback};
+      }
+    });
+    return next;
+  }
+}
+
+/**
+ * Checks if the object implements the clock's methods.
+ *
+ * @param   {Object}   clock
+ * @returns {Boolean}
+ */
+function isClock(clock) {
+  return Boolean(clock) &&
+    ["now", "setTimer", "clearTimer"].every((method) => typeof clock[method] === "function");
+}
+
+export {systemClock, VirtualClock, isClock, maxDelay};
@@ -1,5 +1,10 @@
 /* jshint esversion: 6 */
-import {isPositiveInteger} from "./mytimer.helpers";
+import {isPositiveInteger, isObject} from "./mytimer.helpers";
+import {systemClock, isClock} from "./mytimer.clock";
+import {isStorage} from "./mytimer.storage";
+import Journal from "./mytimer.journal";
+import {toMilliseconds} from "./mytimer.parse";
+import {units as registry} from "./mytimer.units";
 import ObjectError from "./mytimer.customerror";
 import messages from "./mytimer.messages";
 
@@ -12,7 +17,9 @@ export default class Defaults {
   constructor() {
     /**
     * Session - time that is counted down
-    * Interval - interval at which the timer publishes the time.
+    * Interval - the shortest interval at which the timer publishes the time.
+    *            The timer publishes the time when the shortest countUnit changes
+    *            (see tickStep), so the interval matters only if it is longer.
      *
      * @type {Map} Stores default values in milliseconds
      */
@@ -22,16 +29,13 @@ export default class Defaults {
     ]);
 
     /**
-     * Units in milliseconds.
+     * Units in milliseconds, from the longest to the shortest.
+     * It is the registry shared by all the timers (see registerUnit),
+     * so the units registered later are known too.
      *
      * @type {Map}
      */
-    this.units = new Map ([
-      ["hours", 3600000],
-      ["minutes", 60000],
-      ["seconds", 1000],
-      ["milliseconds", 1]
-    ]);
+    this.units = registry;
 
     /**
      * User of timer can set the countUnits as desired.
@@ -56,16 +60,37 @@ export default class Defaults {
     this.statuses = new Map([
       ["stopped", Symbol("stopped")],
       ["counting", Symbol("counting")],
-      ["paused", Symbol("paused")]
+      ["paused", Symbol("paused")],
+      ["finished", Symbol("finished")]
     ]);
 
     this.events = [
       "currentTime",
       "sessionChanged",
+      "intervalChanged",
+      "sessionStarted",
+      "sessionCompleted",
+      "sessionStopped",
+      "sessionPaused",
+      "timerReset",
+      "countUnitsChanged",
+      "sessionOvertime",
+      "lap",
+      "directionChanged",
+      "error"
+    ];
+
+    /** Events after which the timer is saved to the storage. */
+    this.autoSaveEvents = [
+      "sessionChanged",
+      "intervalChanged",
       "sessionStarted",
       "sessionStopped",
       "sessionPaused",
-      "timerReset"
+      "timerReset",
+      "countUnitsChanged",
+      "lap",
+      "directionChanged"
     ];
 
     this.listeners = {};
@@ -76,14 +101,71 @@ export default class Defaults {
     /** set status to stop */
 		this.status = this.statuses.get("stopped");
     this._direction = "down";
+    this.directions = ["up", "down"];
+
+    /** Source of the time and of the timers. */
+    this._clock = systemClock;
 
     /** Set the initial start and now values */
-    this.start = Date.now();
-    this.now = Date.now();
+    this.start = this.clock.now();
+    this.now = this.clock.now();
     this._ellapsed = 0;
 
+    /** True when the ellapsed time has been clamped to the session's length (see clampToSession). */
+    this.clamped = false;
+
+    /** Why the last session ended: "completed" or "stopped". */
+    this.stopReason = null;
+
+    /** The time shown by the countUnits when currentTime was last published (see shownTime). */
+    this.publishedTime = null;
+
     this.safeMode = false;
 
+    /** Storage adapter and the key the timer is saved under. */
+    this._storage = null;
+
+    /**
+     * Milestones: the callbacks called when the timer reaches
+     * the remaining time, the ellapsed time or the percentage of the session.
+     *
+     * @type {Array}
+     */
+    this.milestones = [];
+    this.milestoneKinds = ["remaining", "elapsed", "percent"];
+
+    /** Journal of the sessions and the entry of the current session. */
+    this._journal = null;
+    this.entry = null;
+
+    /** If true the interval is derived from the shortest countUnit. */
+    this._smooth = false;
+
+    /**
+     * How the time is rounded to the shortest countUnit:
+     * "floor", "ceil", "round" or "fractional" (the longest countUnit has decimals).
+     *
+     * @type {String}
+     */
+    this._rounding = "floor";
+    this.roundings = ["floor", "ceil", "round", "fractional"];
+
+    /** If true the timer keeps counting after the session has ellapsed.
+        overtimeReached is true once "sessionOvertime" has been published in the session.
+        */
+    this._overtime = false;
+    this.overtimeReached = false;
+
+    /** If true the timer counts up without the session's limit. */
+    this._stopwatch = false;
+
+    /**
+     * Laps of the current session: the ellapsed time at the laps' ends.
+     *
+     * @type {Array}
+     */
+    this.lapEnds = [];
+
     this.createConversionMethods();
   }
 
@@ -95,12 +177,16 @@ export default class Defaults {
         Else: throw ObjectError.
         */
     if (Array.isArray(arr) && arr.length > 0 && arr.every((unit) => this.unitIsCorrect(unit))) {
-      /** Sort countUnits from the longest to the shortest. */
+      /** Sort countUnits from the longest to the shortest (the registry's order). */
       let order = Array.from(this.units.keys());
+      /** Delete conversion methods of the units that are no longer counted. */
+      this._countUnits.filter((unit) => !arr.includes(unit)).forEach((unit) => delete this[unit]);
       this._countUnits = arr.sort((a, b) => order.indexOf(a) - order.indexOf(b));
       order = null;
-      /** adjust methods */ // TODO when adjusting some methods should be deleted
+      /** adjust methods */
       this.createConversionMethods();
+      /** The shortest countUnit may have changed. */
+      if (this.smooth) this.smoothInterval();
     } else {
       throw new ObjectError (messages.notInitialisedCountUnits);
     }
@@ -110,6 +196,94 @@ export default class Defaults {
     return this._countUnits;
   }
 
+  /** Clock has to implement: now(), setTimer() and clearTimer(). */
+  set clock(obj) {
+    if (isClock(obj)) {
+      this._clock = obj;
+      this.zeroTimes();
+    } else {
+      throw new ObjectError (messages.incorrectClock);
+    }
+  }
+
+  get clock() {
+    return this._clock;
+  }
+
+  /** Storage is an object with "adapter" and "key" properties. */
+  set storage(obj) {
+    if (isObject(obj) && isStorage(obj.adapter) && typeof obj.key === "string" && obj.key.length > 0) {
+      this._storage = {adapter: obj.adapter, key: obj.key};
+    } else {
+      throw new ObjectError (messages.incorrectStorage);
+    }
+  }
+
+  get storage() {
+    return this._storage;
+  }
+
+  /** Journal accepts: true (creates a new journal), an instance of Journal or false. */
+  set journal(value) {
+    if (value === true) {
+      this._journal = new Journal();
+    } else if (value instanceof Journal) {
+      this._journal = value;
+    } else if (value === false || value === null) {
+      this._journal = null;
+    } else {
+      throw new ObjectError (messages.incorrectJournal);
+    }
+  }
+
+  get journal() {
+    return this._journal;
+  }
+
+  /** Opens the journal's entry of the session that has just started. */
+  beginEntry() {
+    if (this.journal) {
+      this.entry = {
+        start: this.clock.now(),
+        pauses: 0,
+        pausedTime: 0,
+        pausedAt: null
+      };
+    }
+  }
+
+  pauseEntry() {
+    if (this.entry) {
+      this.entry.pauses += 1;
+      this.entry.pausedAt = this.clock.now();
+    }
+  }
+
+  resumeEntry() {
+    if (this.entry && this.entry.pausedAt !== null) {
+      this.entry.pausedTime += this.clock.now() - this.entry.pausedAt;
+      this.entry.pausedAt = null;
+    }
+  }
+
+  /** Records the entry of the session that has just stopped. */
+  endEntry() {
+    if (this.entry && this.journal) {
+      /** Stopped while paused: the pause lasts till the end. */
+      this.resumeEntry();
+      this.journal.record({
+        start: this.entry.start,
+        end: this.clock.now(),
+        session: this.session,
+        ellapsed: this._ellapsed,
+        pauses: this.entry.pauses,
+        pausedTime: this.entry.pausedTime,
+        completed: this.completed
+      });
+    }
+    this.entry = null;
+  }
+
   /** Value should be in milliseconds. TODO */
   set session(obj) {
     try {
@@ -130,6 +304,8 @@ export default class Defaults {
     } catch (e) {
       throw new ObjectError(`Interval step: ${e.message}.`);
     }
+    /** In smooth mode the interval is always derived from the countUnits. */
+    if (this.smooth) this.smoothInterval();
   }
 
   get interval() {
@@ -156,6 +332,16 @@ export default class Defaults {
     }
   }
 
+  get is_finished() {
+    return this.status === this.statuses.get("finished");
+  }
+
+  set is_finished(value) {
+    if (value === true) { // TODO only in production
+      this.status = this.statuses.get("finished");
+    }
+  }
+
   get is_paused() {
     return this.status === this.statuses.get("paused");
   }
@@ -166,7 +352,18 @@ export default class Defaults {
     }
   }
 
+  /** Name of the status, e.g. "counting". */
+  get statusName() {
+    for (let [name, status] of this.statuses) {
+      if (status === this.status) return name;
+    }
+  }
+
+  /** While counting the ellapsed time is read from the clock,
+      so it is up to date also between the scheduled ticks.
+      */
   get ellapsed() {
+    if (this.is_counting && !this.clamped) this.tick();
     return (this._ellapsed + this.now - this.start);
   }
 
@@ -175,35 +372,229 @@ export default class Defaults {
   }
 
   zeroTimes() {
-    this.start = this.now = Date.now();
+    this.start = this.now = this.clock.now();
+    this.clamped = false;
+  }
+
+  /** Update the "now" value with the clock's time. */
+  tick() {
+    this.now = this.clock.now();
   }
 
   cumulateEllapsed() {
     let cum = this._ellapsed + this.now - this.start;
     let session = this.session;
-    this._ellapsed = (cum <= session)?  cum : session;
+    /** In overtime and in stopwatch mode the ellapsed time can be longer than the session. */
+    this._ellapsed = (cum <= session || this._overtime || this._stopwatch)?  cum : session;
     this.zeroTimes();
   }
 
+  /** Time counted after the session has ellapsed (in overtime). */
+  get overtimeEllapsed() {
+    return Math.max(0, this.ellapsed - this.session);
+  }
+
+  /** Make the ellapsed time equal to the session's length. */
+  clampToSession() {
+    this.now = this.start + this.session - this._ellapsed;
+    this.clamped = true;
+  }
+
+  /** The time as shown by the countUnits, e.g. "4,59" for 4 minutes and 59 seconds. */
+  get shownTime() {
+    const time = this.time();
+    return this._countUnits.map((countUnit) => this[countUnit](time)).join();
+  }
+
+  /** True if the last session ended, because it ellapsed. */
+  get completed() {
+    return this.stopReason === "completed";
+  }
+
+  /**
+   * Describes the current time:
+   * - time: time in the counting direction,
+   * - ellapsed, remaining: in milliseconds (remaining is null in stopwatch mode),
+   * - units: time broken down by countUnits, e.g. {minutes: 4, seconds: 59},
+   * - status: name of the status,
+   * - timestamp: clock's time of the description.
+   *
+   * @returns {Object}
+   */
+  timeData() {
+    const time = this.time();
+    return {
+      time: time,
+      ellapsed: this.ellapsed,
+      /** The stopwatch has no session's limit. */
+      remaining: this._stopwatch? null : this.session - this.ellapsed,
+      units: this.breakDown(time),
+      status: this.statusName,
+      timestamp: this.now
+    };
+  }
+
+  /**
+   * Breaks the time down by countUnits.
+   *
+   * @param   {Number}   time  In milliseconds.
+   * @returns {Object}         E.g. {minutes: 4, seconds: 59}.
+   */
+  breakDown(time) {
+    const units = {};
+    this.countUnits.forEach((unit) => units[unit] = this[unit](time));
+    return units;
+  }
+
+  /**
+   * Ends the lap at the ellapsed time.
+   *
+   * @returns {Object} The lap (see lap).
+   */
+  addLap() {
+    this.lapEnds.push(this.ellapsed);
+    return this.lap(this.lapEnds.length - 1);
+  }
+
+  /**
+   * Describes the lap:
+   * - number: starting from 1,
+   * - duration: the lap's time in milliseconds,
+   * - cumulative: the ellapsed time at the lap's end (split time),
+   * - units: duration and cumulative broken down by countUnits.
+   *
+   * @param   {Number}   index
+   * @returns {Object}
+   */
+  lap(index) {
+    const cumulative = this.lapEnds[index];
+    const duration = cumulative - ((index > 0)? this.lapEnds[index - 1] : 0);
+    return {
+      number: index + 1,
+      duration: duration,
+      cumulative: cumulative,
+      units: {
+        duration: this.breakDown(duration),
+        cumulative: this.breakDown(cumulative)
+      }
+    };
+  }
+
+  get laps() {
+    return this.lapEnds.map((end, index) => this.lap(index));
+  }
+
+  /** Result of the last session. */
+  get result() {
+    return {
+      reason: this.stopReason,
+      completed: this.completed,
+      ellapsed: this.ellapsed,
+      session: this.session
+    };
+  }
+
   reset() {
     this.zeroTimes();
     this.zeroEllapsed();
+    this.stopReason = null;
+    this.publishedTime = null;
+    this.overtimeReached = false;
+    this.lapEnds = [];
+    /** Milestones can be reached again. */
+    this.evaluateMilestones(false);
+  }
+
+  /**
+   * Creates a plain object that describes the timer's state.
+   * The object can be serialised to JSON.
+   *
+   * @returns {Object}
+   */
+  snapshot() {
+    return {
+      status: this.statusName,
+      session: this.session,
+      interval: this.interval,
+      countUnits: this.countUnits.slice(),
+      direction: this.direction,
+      smooth: this.smooth,
+      rounding: this.rounding,
+      overtime: this.overtime,
+      stopwatch: this.stopwatch,
+      laps: this.lapEnds.slice(),
+      /** Ellapsed time cumulated till the start (wall-clock). */
+      ellapsed: this._ellapsed,
+      start: this.start,
+      stopReason: this.stopReason,
+      /** Journal's entry of the current session. */
+      entry: this.entry? Object.assign({}, this.entry) : null,
+      savedAt: this.clock.now()
+    };
+  }
+
+  /**
+   * Restores the timer's state from the snapshot.
+   * The counting timer is restored as paused, with the time that passed since
+   * the snapshot's start added to the ellapsed time.
+   * It is up to MyTimer to resume counting.
+   *
+   * @param {Object} data Object created by the snapshot method.
+   */
+  restore(data) {
+    if (!isObject(data) || !this.statuses.has(data.status) ||
+      !isPositiveInteger(data.ellapsed) || !Number.isFinite(data.start)) {
+      throw new ObjectError (messages.incorrectSnapshot);
+    }
+    try {
+      /** Smooth mode first, so the interval is smoothed. */
+      if (data.smooth !== undefined) this.smooth = data.smooth;
+      if (data.session !== undefined) this.session = {value: data.session, units: "milliseconds"};
+      if (data.interval !== undefined) this.interval = {value: data.interval, units: "milliseconds"};
+      if (data.countUnits !== undefined) this.countUnits = data.countUnits.slice();
+      /** Stopwatch mode first, because the stopwatch counts only up. */
+      if (data.stopwatch !== undefined) this.stopwatch = data.stopwatch;
+      if (data.direction !== undefined) this.direction = data.direction;
+      if (data.rounding !== undefined) this.rounding = data.rounding;
+      if (data.overtime !== undefined) this.overtime = data.overtime;
+    } catch (e) {
+      throw new ObjectError (`${messages.incorrectSnapshot} ${e.message}`);
+    }
+
+    this.zeroTimes();
+    this._ellapsed = data.ellapsed;
+    this.stopReason = (data.stopReason !== undefined)? data.stopReason : null;
+    this.entry = (this.journal && isObject(data.entry))? Object.assign({}, data.entry) : null;
+    this.lapEnds = Array.isArray(data.laps)? data.laps.filter((end) => isPositiveInteger(end)) : [];
+    if (data.status === "counting") {
+      /** Count the time as if the timer had never stopped. */
+      this._ellapsed += Math.max(0, this.now - data.start);
+      this.is_paused = true;
+    } else {
+      this.status = this.statuses.get(data.status);
+    }
+    /** "sessionOvertime" is not published again for the restored session. */
+    this.overtimeReached = this._overtime && this.isEllapsed;
   }
 
+  /** The stopwatch's session never ellapses. */
   get isEllapsed() {
-    return (this.ellapsed > this.session);
+    return (!this._stopwatch && this.ellapsed >= this.session);
   }
 
   get direction() {
     return this._direction;
   }
 
+  /** Direction is either "up" or "down". The stopwatch counts only up. */
   set direction(value) {
-    if (typeof value === "string") {
-      this._direction = value;
-    } else {
-      throw new ObjectError (messages.initialisedWithDefaults);
+    if (!this.directions.includes(value)) {
+      throw new ObjectError (messages.incorrectDirection);
+    }
+    if (this._stopwatch && value !== "up") {
+      throw new ObjectError (messages.stopwatchCountsUp);
     }
+    this._direction = value;
   }
 
   /** If timer counts down
@@ -219,64 +610,264 @@ export default class Defaults {
     }
   }
 
-  /** Make the interval not longer than the shortest countUnit */
-  smoothInterval()  {
-    /** The shortest countUnit is the last item of the countUnits (because it
-        was sorted). Min store the milliseconds value. */
-    const min = this.countUnits[this.countUnits.length - 1] / 2;
+  /**
+   * Time (in milliseconds) between two visible changes of the timer.
+   * It is the length of the shortest countUnit, unless the interval is longer.
+   * In smooth mode the interval is ignored, so the timer ticks on each change of the shortest countUnit.
+   *
+   * @returns {Number}
+   */
+  get tickStep() {
+    return Math.max(this.interval, this.units.get(this.shortestCountUnit()));
+  }
 
-    /** Ensure that the interval is not too long */
-    if (this.interval > min) {
-      /** make it in milliseconds */
-      this.interval = min * this.units[unit[0]];
+  /**
+   * Calculates the delay after which the timer's time reaches the next multiple of the tickStep
+   * (e.g. the next whole second when the shortest countUnit is "seconds").
+   * The delay is calculated from the clock, so late callbacks are compensated.
+   * The delay is never longer than the time remaining to the end of the session.
+   *
+   * @returns {Number} Delay in milliseconds.
+   */
+  nextTickDelay() {
+    const step = this.tickStep;
+    const down = (this._direction === "down");
+    let time = this.time();
+    /** The absolute value of the time is rounded.
+        It grows when counting up and in overtime when counting down (the time is negative),
+        it shrinks when counting down the session.
+        */
+    const growing = !down || time <= 0;
+    /** Rounded time does not change exactly at the multiples of the step:
+        the floored shrinking time (e.g. 1999 milliseconds remaining is 1 second) and
+        the rounded up growing time change just after the multiple,
+        "round" changes in the middle of the step.
+        */
+    const offsets = growing?
+      {floor: 0, ceil: 1, round: step / 2} :
+      {floor: -1, ceil: 0, round: step / 2 - 1};
+    /** The fractional time is published like the floored one. */
+    const offset = offsets[this._rounding] !== undefined? offsets[this._rounding] : offsets.floor;
+    /** The negative time decreases, so it reaches the offset below the multiple. */
+    time -= (down && growing)? -offset : offset;
+    let boundary;
+    if (down) {
+      /** The time decreases: the next multiple of the step below the time. */
+      boundary = time - step * (Math.ceil(time / step) - 1);
+    } else {
+      /** The time increases: the next multiple of the step above the time. */
+      boundary = step * (Math.floor(time / step) + 1) - time;
     }
+    /** The stopwatch has no end. In overtime the end of the session has passed. */
+    const toEnd = (this._stopwatch || (this._overtime && this.isEllapsed))? Infinity : this.session - this.ellapsed;
+    return Math.max(1, Math.min(boundary, toEnd, this.nextMilestoneDelay()));
   }
+
   /**
-  * Check: Has the obj the "value" property?
-  *        Is the "value" property a Number?
-  *        If the obj has the "unit" property then is it correct?
-  *
-  * @param   {Object}   obj  Object
-  * @returns {Boolean}       If "value" is a positive integer and
-  *                              "units" are correct return true.
-  *                          If there are no "units" assume milliseconds and
-  *                          warn in console and return true.
-  *                          Else throw custom errors.
-  */
-  verifyObject(obj) {
-    if (isPositiveInteger(obj.value)) {
-      if (obj.units) {
-        if (this.unitIsCorrect(obj.units)) {
-          return true;
-        } else {
-          throw new ObjectError("Units are incorrect");
+   * Adds the milestone. The milestone object has one of properties:
+   * - remaining: remaining time, e.g. {value: 5, units: "minutes"},
+   * - elapsed: ellapsed time, e.g. {value: 5, units: "minutes"},
+   * - percent: percentage of the session, e.g. 50.
+   *
+   * @param   {Object}     milestone
+   * @param   {Function}   callback   Called when the milestone is reached.
+   * @returns {Object}                The added milestone.
+   */
+  addMilestone(milestone, callback) {
+    const kinds = isObject(milestone)?
+      Object.keys(milestone).filter((kind) => this.milestoneKinds.includes(kind)) : [];
+    if (kinds.length !== 1 || typeof callback !== "function") {
+      throw new ObjectError (messages.incorrectMilestone);
+    }
+    const kind = kinds[0];
+    let value = milestone[kind];
+    if (kind === "percent") {
+      if (typeof value !== "number" || !(value >= 0 && value <= 100)) {
+        throw new ObjectError (messages.incorrectMilestone);
+      }
+    } else {
+      try {
+        value = this.convert(value);
+      } catch (e) {
+        throw new ObjectError (`${messages.incorrectMilestone} ${e.message}`);
+      }
+    }
+    const added = {
+      milestone: milestone,
+      kind: kind,
+      value: value,
+      callback: callback
+    };
+    /** The milestone that has been already reached is not reached again till the timer crosses it. */
+    added.reached = this.ellapsed >= this.milestoneTarget(added);
+    this.milestones.push(added);
+    return added;
+  }
+
+  removeMilestone(milestone) {
+    const index = this.milestones.indexOf(milestone);
+    if (index > -1) this.milestones.splice(index, 1);
+    return index > -1;
+  }
+
+  /**
+   * Ellapsed time at which the milestone is reached.
+   * It depends on the current session's length, so it changes when the session changes.
+   *
+   * @param   {Object}   milestone
+   * @returns {Number}
+   */
+  milestoneTarget(milestone) {
+    switch (milestone.kind) {
+      case "remaining":
+        return this.session - milestone.value;
+      case "percent":
+        return this.session * milestone.value / 100;
+      default:
+        return milestone.value;
+    }
+  }
+
+  /** Delay till the nearest milestone that has not been reached yet. */
+  nextMilestoneDelay() {
+    const ellapsed = this.ellapsed;
+    return this.milestones.reduce((delay, milestone) => {
+      const toTarget = Math.ceil(this.milestoneTarget(milestone) - ellapsed);
+      return (!milestone.reached && toTarget > 0)? Math.min(delay, toTarget) : delay;
+    }, Infinity);
+  }
+
+  /**
+   * Checks which milestones have been crossed since the last check.
+   * Each milestone is reached once per crossing: it can be reached again
+   * only if the ellapsed time goes back below it (e.g. the session is extended or the timer reset).
+   *
+   * The error thrown by a callback does not stop the other callbacks.
+   *
+   * @param   {Boolean} fire If false, the callbacks are not called.
+   * @returns {Array}        Errors thrown by the callbacks: objects with error and milestone.
+   */
+  evaluateMilestones(fire = true) {
+    const ellapsed = this.ellapsed;
+    const errors = [];
+    /** Copy, because callbacks may remove milestones. */
+    this.milestones.slice().forEach((milestone) => {
+      const reached = ellapsed >= this.milestoneTarget(milestone);
+      const crossed = reached && !milestone.reached;
+      milestone.reached = reached;
+      if (crossed && fire) {
+        try {
+          milestone.callback({
+            milestone: milestone.milestone,
+            ellapsed: ellapsed,
+            remaining: this.session - ellapsed
+          });
+        } catch (error) {
+          errors.push({error: error, milestone: milestone});
         }
-      } else {
-        obj.units = "milliseconds";
-        // TODO only for development, not in production??
-        console.warn(messages.millisecondsAssumed);
-        return true;
       }
+    });
+    return errors;
+  }
+
+  /** Smooth mode accepts: true, false, "yes" and "no". */
+  set smooth(value) {
+    if (value === true || value === "yes") {
+      this._smooth = true;
+      this.smoothInterval();
+    } else if (value === false || value === "no") {
+      this._smooth = false;
+    } else {
+      throw new ObjectError (messages.incorrectSmooth);
+    }
+  }
+
+  get smooth() {
+    return this._smooth;
+  }
+
+  /** Rounding accepts: "floor", "ceil", "round" and "fractional". */
+  set rounding(value) {
+    if (this.roundings.includes(value)) {
+      this._rounding = value;
+    } else {
+      throw new ObjectError (messages.incorrectRounding);
+    }
+  }
+
+  get rounding() {
+    return this._rounding;
+  }
+
+  /**
+   * Rounds the time to the shortest countUnit, as the countUnits' methods do.
+   * The floored and the fractional time is not changed,
+   * so the units shorter than the countUnits can be still shown (e.g. by format).
+   *
+   * @param   {Number}   time  In milliseconds.
+   * @returns {Number}
+   */
+  roundTime(time) {
+    if (this._rounding !== "ceil" && this._rounding !== "round") return time;
+    const step = this.units.get(this.shortestCountUnit());
+    /** Negative time is rounded like the positive one. */
+    const sign = (time < 0)? -1 : 1;
+    return sign * Math[this._rounding](Math.abs(time) / step) * step;
+  }
+
+  /** Overtime accepts: true, false, "yes" and "no". */
+  set overtime(value) {
+    if (value === true || value === "yes") {
+      this._overtime = true;
+    } else if (value === false || value === "no") {
+      this._overtime = false;
     } else {
-      throw new ObjectError(messages.notPositiveInteger);
+      throw new ObjectError (messages.incorrectOvertime);
     }
   }
 
+  get overtime() {
+    return this._overtime;
+  }
+
+  /** Stopwatch mode accepts: true, false, "yes" and "no". The stopwatch counts up. */
+  set stopwatch(value) {
+    if (value === true || value === "yes") {
+      this._stopwatch = true;
+      this._direction = "up";
+    } else if (value === false || value === "no") {
+      this._stopwatch = false;
+    } else {
+      throw new ObjectError (messages.incorrectStopwatch);
+    }
+  }
+
+  get stopwatch() {
+    return this._stopwatch;
+  }
+
+  /** Make the interval equal to the length of the shortest countUnit.
+      Then the timer publishes the time once per each visible change
+      and does not publish it when nothing changes.
+      */
+  smoothInterval()  {
+    /** The shortest countUnit is the last item of the countUnits (because it
+        was sorted). */
+    const min = this.countUnits[this.countUnits.length - 1];
+    this.steps.set("interval", this.units.get(min));
+  }
   /**
    * Converts units.
    *
-   * @param   {Object}   obj with "value" and "units" property
-   * @returns {Number}       value in milliseconds.
-   *                         If argument has not "units" property then
-   *                         the "verifyObject" method will assume "milliseconds".
+   * @param   {Object|String}   obj with "value" and "units" property
+   *                                or duration's string, e.g. "1h 30m", "25:00", "PT1H30M"
+   *                                (also as the "value" property).
+   * @returns {Number}              value in milliseconds.
+   *                                If argument has not "units" property then
+   *                                "milliseconds" are assumed (see toMilliseconds).
    */
   convert(obj, step) {
-    try {
-      this.verifyObject(obj);
-    } catch (e) {
-      throw e;
-    }
-    return (obj.value * this.units.get(obj.units));
+    return toMilliseconds(obj, this.units);
   }
 
   // TODO may be skipped because I call this.units in convert???
@@ -297,6 +888,8 @@ export default class Defaults {
 
   createConversionMethods() {
     let arr = this._countUnits;
+    /** The time is rounded to the shortest countUnit, so the values of the countUnits add up. */
+    const unitsShortest = this.units.get(arr[arr.length - 1]);
     arr.forEach((countUnit) => {
       /** get the previous, longer units i.e. if countUnits is "minutes" then get "hours".
           It is needed because the longer units should have consumed some time.
@@ -316,23 +909,36 @@ export default class Defaults {
        * @return {Function}
        */
       this[countUnit] = (time) => {
+        /** Negative time is broken down like the positive one. */
+        const sign = (time < 0)? -1 : 1;
+        let rounded = Math.abs(time);
+        if (this._rounding === "fractional") {
+          /** The longest countUnit takes the whole time, e.g. 1.75 hours,
+              nothing is left to the shorter countUnits, so the values add up.
+              */
+          return (unitsPrevious === null)? sign * rounded / unitsThis : 0;
+        } else {
+          rounded = Math[this._rounding](rounded / unitsShortest) * unitsShortest;
+        }
         /** Check how much of the calculated time
             remains after it is allocated to the previous countUnit.
             E.g. if timer's countUnits include "hours" and "minutes" and
             the current countUnit is "minutes" then check
             how much time was allocated to "hours").
             */
-    		const timeToBeAllocated = ((unitsPrevious !== null)? (time % unitsPrevious) : time);
+    		const timeToBeAllocated = ((unitsPrevious !== null)? (rounded % unitsPrevious) : rounded);
         /** Allocate the remaining calculated time to the countUnit. */
-    		return Math.floor((timeToBeAllocated / unitsThis));
+    		const value = Math.floor((timeToBeAllocated / unitsThis));
+        return (value === 0)? 0 : sign * value;
     	};
     });
     arr = null;
   }
 
-  /** For each countUnit create two methods:
+  /** For each countUnit create three methods:
       - returning the ellapsed time (in proper units: hours, minutes etc),
-      - returning the length of the session (in proper units: hours, minutes etc).
+      - returning the length of the session (in proper units: hours, minutes etc),
+      - returning the time counted in overtime (in proper units: hours, minutes etc).
 
       The method is stolen by MyTimer.class (via "call").
       To access the _countUnits MyTimer passes to the method the hidden object _this.
@@ -346,7 +952,24 @@ export default class Defaults {
       /** Create MyTimer's method that returns the length of the session. */
 			this[`sessionLength_${countUnit}`] = () => {
         return obj[countUnit](obj.session);
+      };
+      /** Create MyTimer's method that returns the time counted after the session has ellapsed. */
+      this[`overtime_${countUnit}`] = () => {
+        return obj[countUnit](obj.overtimeEllapsed);
       };
 		});
   }
+
+  /** Deletes MyTimer's methods created by createTimeMethods for the countUnits,
+      e.g. before the countUnits change.
+
+      The method is stolen by MyTimer.class (via "call").
+      */
+  removeTimeMethods(countUnits) {
+    countUnits.forEach((countUnit) => {
+      delete this[`currentTime_${countUnit}`];
+      delete this[`sessionLength_${countUnit}`];
+      delete this[`overtime_${countUnit}`];
+    });
+  }
 }
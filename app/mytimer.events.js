@@ -0,0 +1,172 @@
+/* jshint esversion: 6 */
+import {isObject} from "./mytimer.helpers";
+import ObjectError from "./mytimer.customerror";
+import messages from "./mytimer.messages";
+
+/** Policies of handling errors thrown by listeners. */
+const errorPolicies = ["log", "rethrow", "unsubscribe"];
+
+/**
+ * Publishes events to subscribed listeners.
+ * Listener is either a function or an object with the method's name.
+ * Listeners are called with the payload: object with the event's name and
+ * the data provided by the payload function.
+ *
+ * Each listener is called in isolation: the error thrown by one listener
+ * does not stop the others. The error is published as the "error" event
+ * (if the bus has it) with: error, eventName and listener.
+ * Then the error is handled according to the policy:
+ * - "log": logged in console, unless there are "error" listeners,
+ * - "rethrow": thrown after all listeners have been called,
+ * - "unsubscribe": the listener is removed and the error is logged as with "log".
+ */
+export default class EventBus {
+  /**
+   * @param  {Array}      events             Names of the events.
+   * @param  {Object}     options
+   * @param  {Object}     options.listeners  Object that stores the listeners' arrays by the events' names.
+   * @param  {Function}   options.payload    Called with the event's name and the published data,
+   *                                         returns the payload.
+   * @param  {Function}   options.published  Called with the event's name after the listeners.
+   * @param  {String}     options.errors     Policy of handling listeners' errors, by default "log".
+   */
+  constructor(events, {listeners = {}, payload, published, errors = "log"} = {}) {
+    this.events = events;
+    this.listeners = listeners;
+    this.events.forEach((eventName) => {
+      if (!this.listeners[eventName]) this.listeners[eventName] = [];
+    });
+    this.payload = payload || ((eventName, data) => Object.assign({event: eventName}, data));
+    this.published = published || null;
+    this.errorPolicy = errors;
+  }
+
+  set errorPolicy(value) {
+    if (!errorPolicies.includes(value)) {
+      throw new ObjectError (messages.incorrectErrorPolicy);
+    }
+    this._errorPolicy = value;
+  }
+
+  get errorPolicy() {
+    return this._errorPolicy;
+  }
+
+  /** Throws error if the event's name is incorrect. */
+  verifyEvent(eventName) {
+    if (!this.events.includes(eventName)) {
+      throw new ObjectError (`${messages.unknownEvent} ${eventName}`);
+    }
+  }
+
+  /**
+   * Subscribes the listener to the event.
+   *
+   * @param   {Object|Function}   listener   Function, or object with the method.
+   * @param   {String}            eventName
+   * @param   {String}            method     Name of the listener's method. Not needed for functions.
+   * @param   {Boolean}           once       If true, the listener is removed after it is called.
+   * @returns {Object}                       Object with "remove" method.
+   */
+  subscribe(listener, eventName, method, once = false) {
+    this.verifyEvent(eventName);
+    if (typeof listener !== "function" && !(isObject(listener) && typeof listener[method] === "function")) {
+      throw new ObjectError (messages.incorrectListener);
+    }
+    const entry = {listener: listener, method: method, once: once};
+    this.listeners[eventName].push(entry);
+    return {
+      remove: () => this.remove(eventName, entry)
+    };
+  }
+
+  /** Subscribes the listener, that is called only once. */
+  once(listener, eventName, method) {
+    return this.subscribe(listener, eventName, method, true);
+  }
+
+  /** Removes the listener's entry. */
+  remove(eventName, entry) {
+    const listeners = this.listeners[eventName];
+    const index = listeners.indexOf(entry);
+    if (index > -1) listeners.splice(index, 1);
+    return index > -1;
+  }
+
+  /**
+   * Calls the event's listeners with the payload.
+   *
+   * @param {String} eventName
+   * @param {Object} data      Data added to the payload.
+   */
+  publish(eventName, data) {
+    this.verifyEvent(eventName);
+    const payload = this.payload(eventName, data);
+    const errors = [];
+    /** Copy, because listeners may unsubscribe. */
+    this.listeners[eventName].slice().forEach((entry) => {
+      if (entry.once) this.remove(eventName, entry);
+      try {
+        if (typeof entry.listener === "function") {
+          entry.listener(payload);
+        } else {
+          entry.listener[entry.method](payload);
+        }
+      } catch (error) {
+        errors.push(error);
+        this.failed(eventName, entry, error);
+      }
+    });
+    if (this.published) this.published(eventName);
+    if (errors.length > 0 && this.errorPolicy === "rethrow") throw errors[0];
+  }
+
+  /**
+   * Handles the error thrown by the listener.
+   *
+   * @param {String} eventName
+   * @param {Object} entry      Listener's entry.
+   * @param {Error}  error
+   */
+  failed(eventName, entry, error) {
+    if (this.errorPolicy === "unsubscribe") this.remove(eventName, entry);
+    if (!this.report(error, eventName, entry.listener) && this.errorPolicy !== "rethrow") {
+      console.error(error);
+    }
+  }
+
+  /**
+   * Publishes the error as the "error" event, if the bus has it and it has listeners.
+   * It is used also for the errors of the callbacks that are not listeners (e.g. milestones' callbacks).
+   *
+   * @param   {Error}             error
+   * @param   {String}            eventName  Name of the event (or the callback's kind) that failed.
+   * @param   {Object|Function}   listener   The failed listener or callback.
+   * @returns {Boolean}                      True if the error has been published.
+   */
+  report(error, eventName, listener) {
+    /** Errors of "error" listeners are not published again. */
+    const published = eventName !== "error" && this.events.includes("error") &&
+      this.listeners.error.length > 0;
+    if (published) {
+      try {
+        this.publish("error", {error: error, eventName: eventName, listener: listener});
+      } catch (e) {
+        /** Rethrown by "error" listeners: the original error is handled by the policy. */
+      }
+    }
+    return published;
+  }
+
+  /**
+   * Removes all listeners of the events.
+   *
+   * @param   {Array}     events  By default all events.
+   * @returns {Boolean}
+   */
+  unsubscribe(events = this.events) {
+    events.forEach((eventName) => this.verifyEvent(eventName));
+    events.forEach((eventName) => this.listeners[eventName].length = 0);
+    return true;
+  }
+}
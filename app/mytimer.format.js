@@ -0,0 +1,194 @@
+/* jshint esversion: 6 */
+import {units as registry} from "./mytimer.units";
+
+/**
+ * Pattern's tokens and the milliseconds of their units.
+ * The token's length is the minimal number of digits (zero padding).
+ *
+ * @type {Map}
+ */
+const tokens = new Map([
+  ["dd", 86400000],
+  ["d", 86400000],
+  ["HH", 3600000],
+  ["H", 3600000],
+  ["mm", 60000],
+  ["m", 60000],
+  ["ss", 1000],
+  ["s", 1000],
+  ["SSS", 1],
+  ["SS", 10],
+  ["S", 100]
+]);
+
+/** Tokens of fractions of a second. */
+const fractions = ["SSS", "SS", "S"];
+
+/** English labels of the long form by plural categories. */
+const englishLabels = {
+  weeks: {one: "week", other: "weeks"},
+  days: {one: "day", other: "days"},
+  hours: {one: "hour", other: "hours"},
+  minutes: {one: "minute", other: "minutes"},
+  seconds: {one: "second", other: "seconds"},
+  deciseconds: {one: "decisecond", other: "deciseconds"},
+  centiseconds: {one: "centisecond", other: "centiseconds"},
+  milliseconds: {one: "millisecond", other: "milliseconds"}
+};
+
+const pad = (value, length) => {
+  let text = String(value);
+  while (text.length < length) text = `0${text}`;
+  return text;
+};
+
+/**
+ * Splits the pattern into tokens and literals.
+ * Text in square brackets is a literal, e.g. "H[h] mm[m]".
+ *
+ * @param   {String}   pattern
+ * @returns {Array}            Items: {token} or {literal}.
+ */
+const parsePattern = (pattern) => {
+  const expression = /\[([^\]]*)\]|dd?|HH?|mm?|ss?|S{1,3}/g;
+  const parts = [];
+  let last = 0;
+  let match = expression.exec(pattern);
+  while (match) {
+    if (match.index > last) parts.push({literal: pattern.slice(last, match.index)});
+    if (match[1] !== undefined) {
+      parts.push({literal: match[1]});
+    } else {
+      parts.push({token: match[0]});
+    }
+    last = expression.lastIndex;
+    match = expression.exec(pattern);
+  }
+  if (last < pattern.length) parts.push({literal: pattern.slice(last)});
+  return parts;
+};
+
+/**
+ * Breaks the time down by the units.
+ * The longest unit takes all the time that is longer than it.
+ *
+ * @param   {Number}   ms    Positive time in milliseconds.
+ * @param   {Array}    units Milliseconds of the units, from the longest.
+ * @returns {Array}          Values of the units.
+ */
+const breakDown = (ms, units) => units.map((unit, index) => {
+  const remainder = (index > 0)? ms % units[index - 1] : ms;
+  return Math.floor(remainder / unit);
+});
+
+/** Formats the time with the pattern's tokens. */
+const formatPattern = (ms, pattern, {hideLeadingZeros = false} = {}) => {
+  let parts = parsePattern(pattern);
+  const used = parts.filter((part) => part.token)
+    .map((part) => tokens.get(part.token))
+    .filter((unit, index, arr) => arr.indexOf(unit) === index)
+    .sort((a, b) => b - a);
+  const values = breakDown(ms, used);
+  const value = (token) => values[used.indexOf(tokens.get(token))];
+
+  if (hideLeadingZeros) {
+    /** The shortest unit that is not a fraction of a second is always shown. */
+    const kept = parts.filter((part) => part.token && !fractions.includes(part.token)).pop();
+    const first = parts.findIndex((part) => part.token && (value(part.token) !== 0 || part === kept));
+    const firstToken = parts.findIndex((part) => part.token);
+    /** Literals preceding all the tokens (e.g. a prefix) are kept. */
+    parts = parts.filter((part, index) => index < firstToken || index >= first);
+  }
+
+  return parts.map((part) => {
+    if (part.literal !== undefined) return part.literal;
+    return pad(value(part.token), part.token.length);
+  }).join("");
+};
+
+/**
+ * Returns the plural category of the number, e.g. "one" or "other".
+ * Uses Intl.PluralRules if available.
+ */
+const pluralCategory = (number, locale) => {
+  if (typeof Intl !== "undefined" && Intl.PluralRules) {
+    return new Intl.PluralRules(locale).select(number);
+  }
+  return (number === 1)? "one" : "other";
+};
+
+const formatNumber = (number, locale) => {
+  if (typeof Intl !== "undefined" && Intl.NumberFormat) {
+    return new Intl.NumberFormat(locale).format(number);
+  }
+  return String(number);
+};
+
+/** Formats the time as e.g. "1 hour 5 minutes". Units equal to zero are skipped. */
+const formatLong = (ms, {
+  locale = "en",
+  labels = englishLabels,
+  units = ["hours", "minutes", "seconds"],
+  separator = " "
+} = {}) => {
+  /** Registered units in the registry's order. */
+  units = Array.from(registry.keys()).filter((unit) => units.includes(unit));
+  const values = breakDown(ms, units.map((unit) => registry.get(unit)));
+  let parts = units.map((unit, index) => ({unit: unit, value: values[index]}))
+    .filter((part) => part.value !== 0);
+  /** Zero is described with the shortest unit. */
+  if (parts.length === 0) parts = [{unit: units[units.length - 1], value: 0}];
+  return parts.map((part) => {
+    const label = labels[part.unit] || englishLabels[part.unit] || {other: part.unit};
+    const category = pluralCategory(part.value, locale);
+    return `${formatNumber(part.value, locale)} ${label[category] || label.other}`;
+  }).join(separator);
+};
+
+/** Formats the time as ISO 8601 duration, e.g. "PT1H5M30.5S". */
+const formatISO = (ms) => {
+  const [hours, minutes, seconds, milliseconds] = breakDown(ms, [3600000, 60000, 1000, 1]);
+  let time = "";
+  if (hours) time += `${hours}H`;
+  if (minutes) time += `${minutes}M`;
+  if (seconds || milliseconds || !time) {
+    const fraction = milliseconds? `.${pad(milliseconds, 3).replace(/0+$/, "")}` : "";
+    time += `${seconds}${fraction}S`;
+  }
+  return `PT${time}`;
+};
+
+/**
+ * Formats the duration.
+ *
+ * The pattern is either:
+ * - "long": e.g. "1 hour 5 minutes",
+ * - "iso": ISO 8601 duration, e.g. "PT1H5M",
+ * - template with tokens: d, H, m, s (doubled for zero padding, e.g. "HH")
+ *   and S, SS, SSS (tenths, hundredths and milliseconds). Text in square brackets is not replaced.
+ *   The longest unit of the template takes all the time, e.g. "mm:ss" of 2 hours is "120:00".
+ *
+ * @param   {Number}    ms                        Duration in milliseconds.
+ * @param   {String}    pattern                   By default "HH:mm:ss".
+ * @param   {Object}    options
+ * @param   {Boolean}   options.hideLeadingZeros  Template: hides the leading units equal to zero.
+ * @param   {String}    options.locale            Long form: locale of plural rules and numbers.
+ * @param   {Object}    options.labels            Long form: labels by units and plural categories,
+ *                                                e.g. {hours: {one: "hour", other: "hours"}}.
+ * @param   {Array}     options.units             Long form: registered units, by default hours, minutes and seconds.
+ * @returns {String}                              Negative durations are prefixed with "-".
+ */
+const formatDuration = (ms, pattern = "HH:mm:ss", options = {}) => {
+  const sign = (ms < 0)? "-" : "";
+  const time = Math.floor(Math.abs(ms));
+  switch (pattern) {
+    case "long":
+      return sign + formatLong(time, options);
+    case "iso":
+      return sign + formatISO(time);
+    default:
+      return sign + formatPattern(time, pattern, options);
+  }
+};
+
+export default formatDuration;
@@ -0,0 +1,181 @@
+/* jshint esversion: 6 */
+
+/**
+ * Keeps the subscriptions to the timer's events made on behalf of
+ * other listeners' interfaces (EventTarget, EventEmitter).
+ * The timer's events are subscribed per listener, so the timer knows
+ * only about the listeners that have been actually added.
+ */
+class Subscriptions {
+  /**
+   * @param  {MyTimer}   timer
+   */
+  constructor(timer) {
+    this.timer = timer;
+    this.entries = [];
+  }
+
+  /**
+   * Subscribes the handler to the timer's event.
+   *
+   * @param   {String}     eventName
+   * @param   {*}          listener   Listener the entry is found by.
+   * @param   {Function}   handler    Called with the event's payload.
+   * @param   {Boolean}    once       If true, the entry is removed before the handler is called.
+   * @returns {Object}                The entry.
+   */
+  add(eventName, listener, handler, once = false) {
+    const entry = {eventName: eventName, listener: listener, once: once};
+    entry.subscription = this.timer.event.subscribe((payload) => {
+      if (once) this.drop(entry);
+      handler(payload);
+    }, eventName);
+    this.entries.push(entry);
+    return entry;
+  }
+
+  /** Finds the entries of the event, optionally of the listener. */
+  find(eventName, listener) {
+    return this.entries.filter((entry) =>
+      entry.eventName === eventName && (listener === undefined || entry.listener === listener));
+  }
+
+  /** Calls the entries' listeners directly, e.g. when they are dispatched by the adapter itself. */
+  call(eventName, callback) {
+    this.find(eventName).forEach((entry) => {
+      if (entry.once) this.drop(entry);
+      callback(entry.listener);
+    });
+  }
+
+  drop(entry) {
+    const index = this.entries.indexOf(entry);
+    if (index > -1) {
+      this.entries.splice(index, 1);
+      entry.subscription.remove();
+    }
+  }
+}
+
+/**
+ * Creates the event that EventTarget's listeners receive.
+ * The payload is the event's detail.
+ *
+ * @param   {String}   type
+ * @param   {Object}   detail
+ * @returns {Event}           CustomEvent, or a plain object where CustomEvent is not available.
+ */
+const createEvent = (type, detail) => {
+  if (typeof CustomEvent === "function") {
+    return new CustomEvent(type, {detail: detail});
+  }
+  return {type: type, detail: detail};
+};
+
+const callEventListener = (listener, event) => {
+  if (typeof listener === "function") {
+    listener(event);
+  } else {
+    listener.handleEvent(event);
+  }
+};
+
+/**
+ * Creates an EventTarget-compatible object that dispatches the timer's events
+ * as CustomEvents. The events' payloads are the events' details.
+ *
+ * const target = toEventTarget(timer);
+ * target.addEventListener("sessionStopped", (event) => event.detail.reason);
+ *
+ * @param   {MyTimer}   timer
+ * @returns {Object}          Object with: addEventListener, removeEventListener and dispatchEvent.
+ */
+const toEventTarget = (timer) => {
+  const subscriptions = new Subscriptions(timer);
+  return {
+    /**
+     * @param {String}            type
+     * @param {Function|Object}   listener  Function or object with "handleEvent" method.
+     * @param {Object|Boolean}    options   Only "once" option is supported.
+     */
+    addEventListener(type, listener, options) {
+      /** The same listener is added only once. */
+      if (!listener || subscriptions.find(type, listener).length > 0) return;
+      const once = Boolean(options && options.once);
+      subscriptions.add(type, listener, (payload) => callEventListener(listener, createEvent(type, payload)), once);
+    },
+
+    removeEventListener(type, listener) {
+      subscriptions.find(type, listener).forEach((entry) => subscriptions.drop(entry));
+    },
+
+    /** Calls the target's listeners of the event's type. The timer does not publish the event. */
+    dispatchEvent(event) {
+      subscriptions.call(event.type, (listener) => callEventListener(listener, event));
+      return !event.defaultPrevented;
+    }
+  };
+};
+
+/**
+ * Creates an object compatible with Node's EventEmitter that emits the timer's events.
+ * Listeners are called with the events' payloads.
+ *
+ * const emitter = toEventEmitter(timer);
+ * emitter.on("sessionStopped", (payload) => payload.reason);
+ *
+ * @param   {MyTimer}   timer
+ * @returns {Object}
+ */
+const toEventEmitter = (timer) => {
+  const subscriptions = new Subscriptions(timer);
+  const emitter = {
+    on(eventName, listener) {
+      subscriptions.add(eventName, listener, listener);
+      return emitter;
+    },
+
+    once(eventName, listener) {
+      subscriptions.add(eventName, listener, listener, true);
+      return emitter;
+    },
+
+    /** Removes the most recently added instance of the listener. */
+    off(eventName, listener) {
+      const entries = subscriptions.find(eventName, listener);
+      if (entries.length > 0) subscriptions.drop(entries[entries.length - 1]);
+      return emitter;
+    },
+
+    removeAllListeners(eventName) {
+      subscriptions.entries
+        .filter((entry) => eventName === undefined || entry.eventName === eventName)
+        .forEach((entry) => subscriptions.drop(entry));
+      return emitter;
+    },
+
+    /** Calls the emitter's listeners of the event. The timer does not publish the event. */
+    emit(eventName, ...args) {
+      const called = subscriptions.find(eventName).length > 0;
+      subscriptions.call(eventName, (listener) => listener(...args));
+      return called;
+    },
+
+    listeners(eventName) {
+      return subscriptions.find(eventName).map((entry) => entry.listener);
+    },
+
+    listenerCount(eventName) {
+      return subscriptions.find(eventName).length;
+    },
+
+    eventNames() {
+      return Array.from(new Set(subscriptions.entries.map((entry) => entry.eventName)));
+    }
+  };
+  emitter.addListener = emitter.on;
+  emitter.removeListener = emitter.off;
+  return emitter;
+};
+
+export {toEventTarget, toEventEmitter};
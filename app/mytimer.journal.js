@@ -0,0 +1,79 @@
+/* jshint esversion: 6 */
+
+/**
+ * Converts Date or milliseconds to milliseconds.
+ *
+ * @param   {Date|Number}   value
+ * @returns {Number}
+ */
+const toTime = (value) => (value instanceof Date)? value.getTime() : value;
+
+/**
+ * Journal of sessions.
+ * Each entry describes one session:
+ * - start, end: clock's time (in milliseconds) when the session started and ended,
+ * - session: planned length of the session,
+ * - ellapsed: time actually counted,
+ * - pauses: number of pauses,
+ * - pausedTime: total duration of the pauses,
+ * - completed: true if the session ellapsed, false if it was stopped early.
+ *
+ * One journal can be shared by many timers.
+ */
+export default class Journal {
+  /**
+   * @param  {Array}   entries Entries recorded earlier, e.g. restored from JSON.
+   */
+  constructor(entries = []) {
+    this._entries = entries.map((entry) => Object.assign({}, entry));
+  }
+
+  /**
+   * Adds the entry to the journal.
+   *
+   * @param   {Object}   entry
+   * @returns {Object}         Recorded entry.
+   */
+  record(entry) {
+    const recorded = Object.assign({}, entry);
+    this._entries.push(recorded);
+    return recorded;
+  }
+
+  /** All entries, from the earliest. */
+  get entries() {
+    return this._entries.slice();
+  }
+
+  /**
+   * Lists entries of the sessions that started within the date range.
+   *
+   * @param   {Object}        range
+   * @param   {Date|Number}   range.from  Inclusive. If not provided, the range has no beginning.
+   * @param   {Date|Number}   range.to    Exclusive. If not provided, the range has no end.
+   * @returns {Array}
+   */
+  list({from, to} = {}) {
+    from = (from !== undefined)? toTime(from) : -Infinity;
+    to = (to !== undefined)? toTime(to) : Infinity;
+    return this._entries.filter((entry) => entry.start >= from && entry.start < to);
+  }
+
+  /**
+   * Lists entries that pass the test.
+   *
+   * @param   {Function}   predicate Called with each entry.
+   * @returns {Array}
+   */
+  filter(predicate) {
+    return this._entries.filter(predicate);
+  }
+
+  clear() {
+    this._entries = [];
+  }
+
+  toJSON() {
+    return this.entries;
+  }
+}
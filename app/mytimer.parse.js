@@ -0,0 +1,151 @@
+/* jshint esversion: 6 */
+import {isPositiveInteger, isObject} from "./mytimer.helpers";
+import ObjectError from "./mytimer.customerror";
+import messages from "./mytimer.messages";
+
+/**
+ * Abbreviations and names of the units, that can be used in the durations' strings.
+ * Besides the abbreviations, the units' names (e.g. "minutes" or names of the registered units) are accepted.
+ *
+ * @type {Map}
+ */
+const abbreviations = new Map([
+  ["w", "weeks"], ["week", "weeks"],
+  ["d", "days"], ["day", "days"],
+  ["h", "hours"], ["hr", "hours"], ["hrs", "hours"], ["hour", "hours"],
+  ["m", "minutes"], ["min", "minutes"], ["mins", "minutes"], ["minute", "minutes"],
+  ["s", "seconds"], ["sec", "seconds"], ["secs", "seconds"], ["second", "seconds"],
+  ["ds", "deciseconds"], ["decisecond", "deciseconds"],
+  ["cs", "centiseconds"], ["centisecond", "centiseconds"],
+  ["ms", "milliseconds"], ["millisecond", "milliseconds"]
+]);
+
+/** Units of ISO 8601 designators: W, D, and after "T": H, M, S. Years and months have no fixed length. */
+const isoUnits = ["weeks", "days", "hours", "minutes", "seconds"];
+
+const fail = (text, detail) => {
+  throw new ObjectError (`${messages.incorrectDuration} "${text}" - ${detail}`);
+};
+
+/** Returns the length of the unit in milliseconds or fails if the timer does not know the unit. */
+const unitLength = (text, unit, units) => {
+  if (!units.has(unit)) fail(text, `${messages.durationUnknownUnit} "${unit}"`);
+  return units.get(unit);
+};
+
+/**
+ * Parses ISO 8601 duration, e.g. "PT1H30M" or "P1DT2H".
+ */
+const parseISO = (text, units) => {
+  const match = /^P(?:([\d.,]+)W)?(?:([\d.,]+)D)?(?:T(?:([\d.,]+)H)?(?:([\d.,]+)M)?(?:([\d.,]+)S)?)?$/.exec(text);
+  if (!match || /T$/.test(text) || match.slice(1).every((value) => value === undefined)) {
+    fail(text, messages.durationIncorrectISO);
+  }
+  return match.slice(1).reduce((sum, value, index) => {
+    if (value === undefined) return sum;
+    const number = Number(value.replace(",", "."));
+    if (isNaN(number)) fail(text, `${messages.durationNotNumber} "${value}"`);
+    return sum + number * unitLength(text, isoUnits[index], units);
+  }, 0);
+};
+
+/**
+ * Parses clock's notation: "mm:ss" or "H:mm:ss", optionally with milliseconds ("25:00.500").
+ */
+const parseClock = (text, units) => {
+  const match = /^(\d+):(\d{1,2})(?::(\d{1,2}))?(?:\.(\d{1,3}))?$/.exec(text);
+  if (!match) fail(text, messages.durationIncorrectClock);
+  const [, first, second, third, fraction] = match;
+  const [hours, minutes, seconds] = (third === undefined)? [0, first, second] : [first, second, third];
+  if ((third !== undefined && Number(minutes) >= 60) || Number(seconds) >= 60) {
+    fail(text, messages.durationOutOfRange);
+  }
+  const milliseconds = fraction? Number(`${fraction}00`.slice(0, 3)) : 0;
+  return Number(hours) * unitLength(text, "hours", units) +
+    Number(minutes) * unitLength(text, "minutes", units) +
+    Number(seconds) * unitLength(text, "seconds", units) +
+    milliseconds * unitLength(text, "milliseconds", units);
+};
+
+/**
+ * Parses values with units, e.g. "1h 30m", "90s", "1.5 hours" or "2 minutes, 30 seconds".
+ */
+const parseUnits = (text, units) => {
+  const expression = /(\d*\.?\d+)\s*([a-zA-Z]+)[\s,]*/g;
+  const used = [];
+  let sum = 0;
+  let last = 0;
+  let match = expression.exec(text);
+  while (match && match.index === last) {
+    const name = match[2].toLowerCase();
+    const unit = abbreviations.get(name) || name;
+    if (used.includes(unit)) fail(text, `${messages.durationRepeatedUnit} "${match[2]}"`);
+    used.push(unit);
+    sum += Number(match[1]) * unitLength(text, unit, units);
+    last = expression.lastIndex;
+    match = expression.exec(text);
+  }
+  if (last < text.length) {
+    if (/^\d*\.?\d+$/.test(text.slice(last))) fail(text, messages.durationNoUnits);
+    fail(text, `${messages.durationUnexpected} "${text.slice(last)}"`);
+  }
+  return sum;
+};
+
+/**
+ * Parses the duration's string.
+ *
+ * Accepted formats:
+ * - values with units: "1h 30m", "90s", "1.5 hours", "500ms",
+ * - clock's notation: "25:00" (minutes and seconds), "1:30:00" (hours, minutes and seconds),
+ * - ISO 8601: "PT1H30M", "P1DT2H".
+ *
+ * @param   {String}   text
+ * @param   {Map}      units  Units known by the timer and their lengths in milliseconds.
+ * @returns {Number}          Duration in milliseconds (rounded to integer).
+ * @throws  {ObjectError}     Describes why the text could not be parsed.
+ */
+const parseDuration = (text, units) => {
+  if (typeof text !== "string" || text.trim() === "") {
+    fail(text, messages.durationEmpty);
+  }
+  text = text.trim();
+  let ms;
+  if (/^P/i.test(text)) {
+    ms = parseISO(text.toUpperCase(), units);
+  } else if (text.includes(":")) {
+    ms = parseClock(text, units);
+  } else {
+    ms = parseUnits(text, units);
+  }
+  return Math.round(ms);
+};
+
+/**
+ * Converts the duration to milliseconds. The duration is either:
+ * - the duration's string (see parseDuration),
+ * - the object with "value" (positive integer or the duration's string) and "units".
+ *   If there are no "units" then milliseconds are assumed (and a warning is logged).
+ * The duration is not changed.
+ *
+ * @param   {Object|String}   duration
+ * @param   {Map}             units     Units known by the timer and their lengths in milliseconds.
+ * @returns {Number}                    Duration in milliseconds.
+ * @throws  {ObjectError}
+ */
+const toMilliseconds = (duration, units) => {
+  if (typeof duration === "string") return parseDuration(duration, units);
+  if (isObject(duration) && typeof duration.value === "string") return parseDuration(duration.value, units);
+  if (!isObject(duration) || !isPositiveInteger(duration.value)) {
+    throw new ObjectError(messages.notPositiveInteger);
+  }
+  if (!duration.units) {
+    console.warn(messages.millisecondsAssumed);
+    return duration.value;
+  }
+  if (!units.has(duration.units)) throw new ObjectError(messages.incorrectUnits);
+  return duration.value * units.get(duration.units);
+};
+
+export default parseDuration;
+export {toMilliseconds};
@@ -0,0 +1,274 @@
+/* jshint esversion: 6 */
+import MyTimer from "./mytimer.class";
+import {toMilliseconds} from "./mytimer.parse";
+import {units} from "./mytimer.units";
+import EventBus from "./mytimer.events";
+import {isObject, isPositiveInteger} from "./mytimer.helpers";
+import ObjectError from "./mytimer.customerror";
+import messages from "./mytimer.messages";
+
+/** Events of the sequence. */
+const events = ["phaseStarted", "phaseEnded", "cycleCompleted", "sequenceCompleted", "error"];
+
+/**
+ * Verifies the phase and converts its session to milliseconds.
+ *
+ * @param   {Object}     phase     Object with: name and session (e.g. "25m" or {value: 25, units: "minutes"}).
+ * @returns {Object}               Object with: name and session in milliseconds.
+ */
+const verifyPhase = (phase) => {
+  if (!isObject(phase) || typeof phase.name !== "string" || phase.name === "") {
+    throw new ObjectError (messages.incorrectPhase);
+  }
+  let session;
+  try {
+    session = toMilliseconds(phase.session, units);
+  } catch (e) {
+    throw new ObjectError (`${messages.incorrectPhase} ${e.message}`);
+  }
+  if (session === 0) throw new ObjectError (messages.incorrectPhase);
+  return {name: phase.name, session: session};
+};
+
+/**
+ * Creates the plan: the list of all phases of all cycles.
+ * The last phase of every n-th cycle is replaced by the long break.
+ *
+ * @returns {Array} Phases with: name, session, cycle and number (from 1).
+ */
+const createPlan = (phases, longBreak, cycles) => {
+  if (!Array.isArray(phases) || phases.length === 0) {
+    throw new ObjectError (messages.incorrectPhase);
+  }
+  if (!isPositiveInteger(cycles) || cycles === 0 ||
+    (longBreak && (!isPositiveInteger(longBreak.every) || longBreak.every === 0))) {
+    throw new ObjectError (messages.incorrectCycles);
+  }
+  const cycle = phases.map((phase) => verifyPhase(phase));
+  const longPhase = longBreak? verifyPhase(longBreak) : null;
+  const plan = [];
+  const add = (phase, number) => plan.push({
+    name: phase.name,
+    session: phase.session,
+    cycle: number,
+    number: plan.length + 1
+  });
+  Array.from({length: cycles}, (value, index) => index + 1).forEach((number) => {
+    const long = Boolean(longPhase) && number % longBreak.every === 0;
+    cycle.slice(0, -1).forEach((phase) => add(phase, number));
+    add(long? longPhase : cycle[cycle.length - 1], number);
+  });
+  return plan;
+};
+
+/**
+ * Runs the ordered phases (e.g. Pomodoro: focus, short break, ..., long break) with one MyTimer.
+ * When the phase's session ellapses, the next phase starts (unless autoAdvance is false).
+ *
+ * Events (listeners receive the payload with: event, phase, progress and the event's data):
+ * - phaseStarted,
+ * - phaseEnded: with reason ("completed", "skipped", "restarted" or "stopped") and completed,
+ * - cycleCompleted: with cycle, published when the last phase of the cycle ends or is skipped,
+ * - sequenceCompleted: published when the last phase of the sequence ends or is skipped.
+ */
+export default class TimerSequence {
+  /**
+   * @param  {Object}    options
+   * @param  {Array}     options.phases          Phases of the cycle: objects with name and session,
+   *                                             e.g. {name: "focus", session: "25m"}.
+   * @param  {Object}    options.longBreak       Phase that replaces the last phase of every n-th cycle,
+   *                                             e.g. {name: "longBreak", session: "15m", every: 4}.
+   * @param  {Number}    options.cycles          Number of the cycles, by default 1.
+   * @param  {Boolean}   options.autoAdvance     If false, the next phase waits for start. By default true.
+   * @param  {Object}    options.timer           MyTimer's options, e.g. clock, countUnits, direction.
+   * @param  {String}    options.listenerErrors  Policy of handling listeners' errors (see EventBus).
+   */
+  constructor({phases, longBreak = null, cycles = 1, autoAdvance = true, timer = {}, listenerErrors = "log"} = {}) {
+    this.plan = createPlan(phases, longBreak, cycles);
+    this.cycles = cycles;
+    this.autoAdvance = autoAdvance !== false;
+    this.position = 0;
+    /** True while the sequence stops the timer itself. */
+    this.ending = false;
+
+    this.timer = new MyTimer(Object.assign({}, timer, {
+      steps: Object.assign({}, timer.steps, {session: {value: this.plan[0].session, units: "milliseconds"}})
+    }));
+    this.timer.event.subscribe((payload) => this.timerStopped(payload), "sessionStopped");
+
+    this.event = new EventBus(events, {
+      payload: (eventName, data) => Object.assign(
+        {event: eventName, phase: this.phase, progress: this.progress},
+        data
+      ),
+      errors: listenerErrors
+    });
+  }
+
+  /** The current phase: name, session, cycle and number. Null when the sequence has finished. */
+  get phase() {
+    return this.finished? null : Object.assign({}, this.plan[this.position]);
+  }
+
+  /** All phases of the sequence. */
+  get phases() {
+    return this.plan.map((phase) => Object.assign({}, phase));
+  }
+
+  /** True when all phases have ended. */
+  get finished() {
+    return this.position >= this.plan.length;
+  }
+
+  /**
+   * Progress across the sequence:
+   * - phase, phases: number of the current phase and of all phases,
+   * - cycle, cycles: number of the current cycle and of all cycles,
+   * - ellapsed: sessions of the previous phases and the time ellapsed in the current one,
+   * - total: sessions of all phases,
+   * - percent: ellapsed as percent of total.
+   *
+   * @returns {Object}
+   */
+  get progress() {
+    const sum = (phases) => phases.reduce((total, phase) => total + phase.session, 0);
+    const total = sum(this.plan);
+    const current = this.finished? 0 : Math.min(this.timer.ellapsed, this.plan[this.position].session);
+    const ellapsed = sum(this.plan.slice(0, this.position)) + current;
+    const last = this.plan[Math.min(this.position, this.plan.length - 1)];
+    return {
+      phase: Math.min(this.position + 1, this.plan.length),
+      phases: this.plan.length,
+      cycle: last.cycle,
+      cycles: this.cycles,
+      ellapsed: ellapsed,
+      total: total,
+      percent: ellapsed / total * 100
+    };
+  }
+
+  /** True if the current phase has started and has not ended. */
+  get active() {
+    return ["counting", "paused"].includes(this.timer.statusName);
+  }
+
+  /**
+   * Starts the current phase or resumes the paused one.
+   * The finished sequence starts again from the first phase.
+   *
+   * @returns {TimerSequence|Boolean} False if the phase is counting.
+   */
+  start() {
+    const status = this.timer.statusName;
+    if (status === "counting") return false;
+    if (status === "paused") {
+      this.timer.start();
+      return this;
+    }
+    if (this.finished) this.select(0);
+    this.startPhase();
+    return this;
+  }
+
+  /** @returns {TimerSequence|Boolean} False if the phase is not counting. */
+  pause() {
+    return this.timer.pause()? this : false;
+  }
+
+  /**
+   * Stops the current phase. The sequence stays at the phase.
+   *
+   * @returns {TimerSequence|Boolean} False if the phase has not started.
+   */
+  stop() {
+    if (!this.active) return false;
+    this.endPhase("stopped");
+    this.select(this.position);
+    return this;
+  }
+
+  /** Ends the current phase and moves to the next one. */
+  skip() {
+    return this.move(this.position + 1, "skipped");
+  }
+
+  /** Ends the current phase and moves to the previous one. */
+  previous() {
+    return this.move(this.position - 1, "skipped");
+  }
+
+  /** Starts the current phase again. */
+  restartPhase() {
+    return this.move(this.position, "restarted");
+  }
+
+  /** Stops the sequence and moves to the first phase. */
+  reset() {
+    if (this.active) this.endPhase("stopped");
+    this.select(0);
+    return this;
+  }
+
+  /**
+   * Ends the current phase and moves to the phase.
+   * The phase starts if the ended phase was counting.
+   *
+   * @param   {Number}          position  Index of the phase in the plan.
+   * @param   {String}          reason    Reason of the phaseEnded event.
+   * @returns {TimerSequence}
+   */
+  move(position, reason) {
+    const counting = this.timer.statusName === "counting";
+    if (this.active) this.endPhase(reason);
+    this.select(position);
+    if (counting && !this.finished) this.startPhase();
+    return this;
+  }
+
+  startPhase() {
+    this.timer.start();
+    this.event.publish("phaseStarted");
+  }
+
+  /** Stops the timer and publishes phaseEnded. */
+  endPhase(reason) {
+    this.ending = true;
+    try {
+      this.timer.stop();
+    } finally {
+      this.ending = false;
+    }
+    this.event.publish("phaseEnded", {reason: reason, completed: false});
+  }
+
+  /**
+   * Makes the phase the current one and prepares the timer for it.
+   * Publishes cycleCompleted and sequenceCompleted if the sequence moves past them.
+   *
+   * @param {Number} position Index of the phase in the plan.
+   */
+  select(position) {
+    const left = this.finished? null : this.plan[this.position];
+    const next = Math.max(0, Math.min(position, this.plan.length));
+    /** Only moving forward completes the cycles. */
+    const forward = Boolean(left) && next > left.number - 1;
+    /** Published before moving, so the payload describes the ended cycle. */
+    if (forward && (next === this.plan.length || this.plan[next].cycle !== left.cycle)) {
+      this.event.publish("cycleCompleted", {cycle: left.cycle});
+    }
+    this.position = next;
+    if (!this.finished) {
+      this.timer.reset();
+      this.timer.changeStep({step: "session", value: this.plan[this.position].session, units: "milliseconds"});
+    }
+    if (forward && this.finished) this.event.publish("sequenceCompleted");
+  }
+
+  /** Advances the sequence when the phase's session has ellapsed. */
+  timerStopped(payload) {
+    if (this.ending || payload.reason !== "completed") return;
+    this.event.publish("phaseEnded", {reason: "completed", completed: true});
+    this.select(this.position + 1);
+    if (this.autoAdvance && !this.finished) this.startPhase();
+  }
+}
@@ -0,0 +1,170 @@
+/* jshint esversion: 6 */
+import Journal from "./mytimer.journal";
+
+/** Milliseconds in a day. */
+const DAY = 86400000;
+
+const pad = (value) => (value < 10)? `0${value}` : `${value}`;
+
+/**
+ * Returns the local date of the time as "YYYY-MM-DD".
+ *
+ * @param   {Date|Number}   time
+ * @returns {String}
+ */
+const dayKey = (time) => {
+  const date = new Date(time);
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
+
+/**
+ * Returns the ISO 8601 week of the local date as "YYYY-Www".
+ * Weeks start on Monday. The first week of the year contains the 4th of January.
+ *
+ * @param   {Date|Number}   time
+ * @returns {String}
+ */
+const weekKey = (time) => {
+  const date = new Date(time);
+  /** Thursday of the same week decides about the year. */
+  const thursday = new Date(Date.UTC(date.getFullYear(), date.getMonth(), date.getDate()));
+  thursday.setUTCDate(thursday.getUTCDate() + 3 - (thursday.getUTCDay() + 6) % 7);
+  const year = thursday.getUTCFullYear();
+  const week = 1 + Math.floor((thursday - Date.UTC(year, 0, 1)) / DAY / 7);
+  return `${year}-W${pad(week)}`;
+};
+
+/**
+ * Converts "YYYY-MM-DD" to the number of the day, so the days can be counted.
+ *
+ * @param   {String}   key
+ * @returns {Number}
+ */
+const dayNumber = (key) => {
+  const [year, month, day] = key.split("-").map(Number);
+  return Date.UTC(year, month - 1, day) / DAY;
+};
+
+/** Converts the number of the day back to "YYYY-MM-DD". */
+const dayFromNumber = (number) => new Date(number * DAY).toISOString().slice(0, 10);
+
+/**
+ * Learning statistics of the sessions recorded in the journal.
+ * The focused time is the ellapsed time of the sessions (without pauses).
+ * The sessions are assigned to the local day (and week) they started on.
+ */
+export default class Statistics {
+  /**
+   * @param  {Journal|Array}   journal Journal or its entries.
+   */
+  constructor(journal) {
+    this.journal = (journal instanceof Journal)? journal : new Journal(journal);
+  }
+
+  get entries() {
+    return this.journal.entries;
+  }
+
+  /**
+   * Sums up the focused time.
+   *
+   * @param   {Function}   key Returns the key the entry's time is summed up under.
+   * @returns {Object}         Focused time in milliseconds by keys.
+   */
+  total(key) {
+    return this.entries.reduce((totals, entry) => {
+      const name = key(entry.start);
+      totals[name] = (totals[name] || 0) + entry.ellapsed;
+      return totals;
+    }, {});
+  }
+
+  /** Focused time by days, e.g. {"2018-01-15": 1500000}. */
+  totalByDay() {
+    return this.total(dayKey);
+  }
+
+  /** Focused time by ISO weeks, e.g. {"2018-W03": 1500000}. */
+  totalByWeek() {
+    return this.total(weekKey);
+  }
+
+  /**
+   * Part of the sessions that were completed.
+   *
+   * @returns {Number} From 0 to 1. 0 if there are no sessions.
+   */
+  completionRate() {
+    const entries = this.entries;
+    if (entries.length === 0) return 0;
+    return entries.filter((entry) => entry.completed).length / entries.length;
+  }
+
+  /**
+   * Average ellapsed time of the sessions.
+   *
+   * @returns {Number} Milliseconds. 0 if there are no sessions.
+   */
+  averageLength() {
+    const entries = this.entries;
+    if (entries.length === 0) return 0;
+    return entries.reduce((sum, entry) => sum + entry.ellapsed, 0) / entries.length;
+  }
+
+  /**
+   * The longest number of consecutive days with at least one completed session.
+   *
+   * @returns {Number}
+   */
+  longestStreak() {
+    const days = Array.from(new Set(
+        this.entries.filter((entry) => entry.completed).map((entry) => dayNumber(dayKey(entry.start)))
+      ))
+      .sort((a, b) => a - b);
+    let longest = 0;
+    let current = 0;
+    days.forEach((day, index) => {
+      current = (index > 0 && day - days[index - 1] === 1)? current + 1 : 1;
+      longest = Math.max(longest, current);
+    });
+    return longest;
+  }
+
+  /**
+   * Data for a calendar heatmap: one item for every day of the range.
+   * Each item has:
+   * - date: "YYYY-MM-DD",
+   * - value: focused time in milliseconds,
+   * - count: number of sessions,
+   * - level: from 0 (no focused time) to 4 (the most focused time in the range).
+   *
+   * @param   {Object}        range
+   * @param   {Date|Number}   range.from  By default the day of the first session.
+   * @param   {Date|Number}   range.to    Inclusive. By default the day of the last session.
+   * @returns {Array}
+   */
+  heatmap({from, to} = {}) {
+    const entries = this.entries;
+    if ((from === undefined || to === undefined) && entries.length === 0) return [];
+    const starts = entries.map((entry) => entry.start);
+    const first = dayNumber(dayKey((from !== undefined)? from : Math.min(...starts)));
+    const last = dayNumber(dayKey((to !== undefined)? to : Math.max(...starts)));
+
+    const values = {};
+    const counts = {};
+    entries.forEach((entry) => {
+      const key = dayKey(entry.start);
+      values[key] = (values[key] || 0) + entry.ellapsed;
+      counts[key] = (counts[key] || 0) + 1;
+    });
+
+    const days = [];
+    for (let number = first; number <= last; number++) {
+      const date = dayFromNumber(number);
+      days.push({date: date, value: values[date] || 0, count: counts[date] || 0});
+    }
+    const max = Math.max(0, ...days.map((day) => day.value));
+    days.forEach((day) => day.level = (max > 0)? Math.ceil(day.value / max * 4) : 0);
+    return days;
+  }
+}
@@ -0,0 +1,60 @@
+/* jshint esversion: 6, node: true */
+import fs from "fs";
+import path from "path";
+
+/**
+ * Creates the directory and its missing parents.
+ * The "recursive" option of mkdirSync needs Node 10.12, so the parents are created one by one.
+ *
+ * @param {String} directory
+ */
+const makeDirectory = (directory) => {
+  if (fs.existsSync(directory)) return;
+  makeDirectory(path.dirname(directory));
+  try {
+    fs.mkdirSync(directory);
+  } catch (e) {
+    if (e.code !== "EEXIST") throw e;
+  }
+};
+
+/**
+ * Storage adapter for Node. Keeps every saved object in a JSON file
+ * in the directory.
+ * It is not a part of the browser's bundle and has to be imported directly.
+ */
+export default class FileStorage {
+  /**
+   * @param  {String}   directory Directory of the files. Created when the first object is saved.
+   */
+  constructor(directory) {
+    this.directory = directory;
+  }
+
+  file(key) {
+    return path.join(this.directory, `${encodeURIComponent(key)}.json`);
+  }
+
+  load(key) {
+    try {
+      return JSON.parse(fs.readFileSync(this.file(key), "utf8"));
+    } catch (e) {
+      /** Nothing has been saved yet. */
+      if (e.code === "ENOENT") return null;
+      throw e;
+    }
+  }
+
+  save(key, data) {
+    makeDirectory(this.directory);
+    fs.writeFileSync(this.file(key), JSON.stringify(data));
+  }
+
+  remove(key) {
+    try {
+      fs.unlinkSync(this.file(key));
+    } catch (e) {
+      if (e.code !== "ENOENT") throw e;
+    }
+  }
+}
@@ -0,0 +1,72 @@
+/* jshint esversion: 6 */
+import ObjectError from "./mytimer.customerror";
+import messages from "./mytimer.messages";
+
+/**
+ * Storage adapters save MyTimer's state under a key.
+ * Every adapter has to implement:
+ * - load(key): returns the saved object or null,
+ * - save(key, data): saves the object,
+ * - remove(key): removes the saved object.
+ *
+ * The methods are synchronous, so MyTimer can be restored in its constructor.
+ */
+
+/** Keeps the saved objects in memory. */
+class MemoryStorage {
+  constructor() {
+    this.items = new Map();
+  }
+
+  load(key) {
+    return this.items.has(key)? JSON.parse(this.items.get(key)) : null;
+  }
+
+  save(key, data) {
+    /** Stored as JSON, so later changes of the data do not affect the saved copy. */
+    this.items.set(key, JSON.stringify(data));
+  }
+
+  remove(key) {
+    this.items.delete(key);
+  }
+}
+
+/** Keeps the saved objects in the browser's localStorage (or any other Web Storage). */
+class LocalStorage {
+  /**
+   * @param  {Storage}   storage Web Storage, by default window.localStorage.
+   */
+  constructor(storage = (typeof localStorage !== "undefined")? localStorage : null) {
+    if (!storage) {
+      throw new ObjectError (messages.storageUnavailable);
+    }
+    this.storage = storage;
+  }
+
+  load(key) {
+    const item = this.storage.getItem(key);
+    return (item !== null)? JSON.parse(item) : null;
+  }
+
+  save(key, data) {
+    this.storage.setItem(key, JSON.stringify(data));
+  }
+
+  remove(key) {
+    this.storage.removeItem(key);
+  }
+}
+
+/**
+ * Checks if the object implements the storage adapter's methods.
+ *
+ * @param   {Object}   adapter
+ * @returns {Boolean}
+ */
+function isStorage(adapter) {
+  return Boolean(adapter) &&
+    ["load", "save", "remove"].every((method) => typeof adapter[method] === "function");
+}
+
+export {MemoryStorage, LocalStorage, isStorage};
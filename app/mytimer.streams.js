@@ -0,0 +1,121 @@
+/* jshint esversion: 6 */
+
+/** Symbols used by "for await" and by Observable libraries. */
+const asyncIteratorSymbol = (typeof Symbol === "function" && Symbol.asyncIterator) || "@@asyncIterator";
+const observableSymbol = (typeof Symbol === "function" && Symbol.observable) || "@@observable";
+
+/**
+ * Subscribes to "currentTime" and "sessionStopped" events.
+ *
+ * @param   {MyTimer}    timer
+ * @param   {Function}   onTick   Called when the time is published.
+ * @param   {Function}   onEnd    Called when the session ends.
+ * @returns {Function}            Unsubscribes both listeners.
+ */
+const subscribeTicks = (timer, onTick, onEnd) => {
+  const listener = {tick: onTick, end: onEnd};
+  const subscriptions = [
+    timer.event.subscribe(listener, "currentTime", "tick"),
+    timer.event.subscribe(listener, "sessionStopped", "end")
+  ];
+  return () => subscriptions.forEach((subscription) => subscription.remove());
+};
+
+/**
+ * Creates the async iterator of the timer's ticks.
+ * Ticks published before they are consumed are queued.
+ * The iteration ends when the session ends. When the consumer breaks out
+ * of the loop, the iterator unsubscribes.
+ *
+ * @param   {MyTimer}    timer
+ * @param   {Function}   tickData Returns the tick object.
+ * @returns {Object}              Async iterator.
+ */
+const createTickIterator = (timer, tickData) => {
+  const queue = [];
+  const pending = [];
+  let done = false;
+  let unsubscribe = null;
+
+  const finish = () => {
+    if (!done) {
+      done = true;
+      unsubscribe();
+      pending.splice(0).forEach((resolve) => resolve({value: undefined, done: true}));
+    }
+  };
+
+  unsubscribe = subscribeTicks(timer, () => {
+    const value = tickData();
+    if (pending.length > 0) {
+      pending.shift()({value: value, done: false});
+    } else {
+      queue.push(value);
+    }
+  }, finish);
+
+  const iterator = {
+    next: () => {
+      if (queue.length > 0) return Promise.resolve({value: queue.shift(), done: false});
+      if (done) return Promise.resolve({value: undefined, done: true});
+      return new Promise((resolve) => pending.push(resolve));
+    },
+    /** Called when the consumer breaks out of the loop. */
+    return: () => {
+      queue.length = 0;
+      finish();
+      return Promise.resolve({value: undefined, done: true});
+    }
+  };
+  iterator[asyncIteratorSymbol] = () => iterator;
+  return iterator;
+};
+
+/**
+ * Creates the Observable of the timer's ticks, compatible with Symbol.observable.
+ * Observers complete when the session ends.
+ *
+ * @param   {MyTimer}    timer
+ * @param   {Function}   tickData Returns the tick object.
+ * @returns {Object}              Observable.
+ */
+const createTickObservable = (timer, tickData) => {
+  const observable = {
+    /**
+     * @param   {Object|Function}   observerOrNext  Observer (with next, error, complete methods) or next function.
+     * @param   {Function}          error
+     * @param   {Function}          complete
+     * @returns {Object}                            Subscription with "unsubscribe" method and "closed" property.
+     */
+    subscribe: (observerOrNext, error, complete) => {
+      const observer = (typeof observerOrNext === "function")?
+        {next: observerOrNext, error: error, complete: complete} : (observerOrNext || {});
+      let closed = false;
+      let unsubscribe = null;
+      const subscription = {
+        unsubscribe: () => {
+          if (!closed) {
+            closed = true;
+            unsubscribe();
+          }
+        },
+        get closed() {
+          return closed;
+        }
+      };
+      unsubscribe = subscribeTicks(timer, () => {
+        if (!closed && observer.next) observer.next(tickData());
+      }, () => {
+        if (!closed) {
+          subscription.unsubscribe();
+          if (observer.complete) observer.complete();
+        }
+      });
+      return subscription;
+    }
+  };
+  observable[observableSymbol] = () => observable;
+  return observable;
+};
+
+export {createTickIterator, createTickObservable};
@@ -0,0 +1,303 @@
+/* jshint esversion: 6 */
+import MyTimer from "./mytimer.class";
+import {toMilliseconds} from "./mytimer.parse";
+import {units} from "./mytimer.units";
+import EventBus from "./mytimer.events";
+import {isObject} from "./mytimer.helpers";
+import ObjectError from "./mytimer.customerror";
+import messages from "./mytimer.messages";
+
+/** Events of the turn clock. */
+const events = ["turnStarted", "turnEnded", "flag", "error"];
+
+/** Kinds of the delay: "simple" (the clock starts after the delay) and "bronstein" (the used time is added back). */
+const delayTypes = ["simple", "bronstein"];
+
+/**
+ * Converts the duration (e.g. "5m" or {value: 5, units: "minutes"}) to milliseconds.
+ *
+ * @param   {Object|String}     duration
+ * @param   {String}            message   Message of the error thrown if the duration is incorrect.
+ * @returns {Number}
+ */
+const convert = (duration, message) => {
+  try {
+    return toMilliseconds(duration, units);
+  } catch (e) {
+    throw new ObjectError (`${message} ${e.message}`);
+  }
+};
+
+/**
+ * Chess clock: one MyTimer per player, counting down the player's time.
+ * Only the timer of the player on turn counts.
+ *
+ * Time controls (per move):
+ * - increment (Fischer): added to the player's time after the move,
+ * - delay "simple": the player's time does not count during the delay,
+ * - delay "bronstein": the time used in the move, up to the delay, is added back after the move.
+ *
+ * The player whose time runs out is flagged and the clock finishes.
+ *
+ * Events (listeners receive the payload with: event, player on turn, status and the event's data):
+ * - turnStarted,
+ * - turnEnded: with turn (see turns),
+ * - flag: with the flagged player's name.
+ */
+export default class TurnClock {
+  /**
+   * @param  {Object}          options
+   * @param  {Array}           options.players         Names of the players or objects with name and time.
+   * @param  {Object|String}   options.time            Time of each player, e.g. "5m". By default 5 minutes.
+   * @param  {Object|String}   options.increment       Fischer increment, e.g. "2s".
+   * @param  {Object|String}   options.delay           Delay of each move, e.g. "3s".
+   * @param  {String}          options.delayType       "simple" (default) or "bronstein".
+   * @param  {Object}          options.timer           MyTimer's options, e.g. clock and countUnits.
+   *                                                   The storage's key is suffixed with the player's name.
+   * @param  {String}          options.listenerErrors  Policy of handling listeners' errors (see EventBus).
+   */
+  constructor({
+    players,
+    time = "5m",
+    increment = 0,
+    delay = 0,
+    delayType = "simple",
+    timer = {},
+    listenerErrors = "log"
+  } = {}) {
+    if (!Array.isArray(players) || players.length < 2) {
+      throw new ObjectError (messages.incorrectPlayers);
+    }
+    if (!delayTypes.includes(delayType)) {
+      throw new ObjectError (messages.incorrectDelayType);
+    }
+    this.increment = increment? convert(increment, messages.incorrectTimeControl) : 0;
+    this.delay = delay? convert(delay, messages.incorrectTimeControl) : 0;
+    this.delayType = delayType;
+
+    this.players = players.map((player) => {
+      const name = isObject(player)? player.name : player;
+      if (typeof name !== "string" || name === "") {
+        throw new ObjectError (messages.incorrectPlayers);
+      }
+      const session = convert((isObject(player) && player.time) || time, messages.incorrectPlayers);
+      if (session === 0) throw new ObjectError (messages.incorrectPlayers);
+      const options = Object.assign({}, timer, {
+        steps: Object.assign({}, timer.steps, {session: {value: session, units: "milliseconds"}}),
+        direction: "down"
+      });
+      /** Each player's timer is saved under its own key, e.g. "game.white". */
+      if (isObject(timer.storage) && typeof timer.storage.key === "string" && timer.storage.key !== "") {
+        options.storage = Object.assign({}, timer.storage, {key: `${timer.storage.key}.${name}`});
+      }
+      return {
+        name: name,
+        flagged: false,
+        timer: new MyTimer(options)
+      };
+    });
+    if (new Set(this.players.map((player) => player.name)).size < this.players.length) {
+      throw new ObjectError (messages.incorrectPlayers);
+    }
+    this.clock = this.players[0].timer.clock;
+    this.players.forEach((player) => {
+      player.timer.event.subscribe((payload) => {
+        if (payload.reason === "completed") this.flag(player);
+      }, "sessionStopped");
+    });
+
+    /** "stopped", "running", "paused" or "finished" (a player has been flagged). */
+    this.status = "stopped";
+    /** Index of the player on turn. */
+    this.current = 0;
+    /** The current turn and the recorded turns. */
+    this.turn = null;
+    this._turns = [];
+    /** Timer of the simple delay and the delay remaining when paused. */
+    this.delayTimer = null;
+    this.delayRemaining = 0;
+
+    this.event = new EventBus(events, {
+      payload: (eventName, data) => Object.assign({
+        event: eventName,
+        player: this.players[this.current].name,
+        status: this.status
+      }, data),
+      errors: listenerErrors
+    });
+  }
+
+  /** Players' state: name, remaining time (in milliseconds) and flagged. */
+  get state() {
+    return this.players.map((player) => ({
+      name: player.name,
+      remaining: player.timer.session - player.timer.ellapsed,
+      flagged: player.flagged
+    }));
+  }
+
+  /**
+   * Recorded turns:
+   * - player, number (from 1),
+   * - start, end: clock's time of the turn's start and end,
+   * - duration: length of the turn,
+   * - used: time deducted from the player's time,
+   * - added: time added after the turn (increment or Bronstein delay).
+   *
+   * @returns {Array}
+   */
+  get turns() {
+    return this._turns.map((turn) => Object.assign({}, turn));
+  }
+
+  /** Returns the player's timer, e.g. to subscribe to its currentTime. */
+  timer(name) {
+    const player = this.players.find((player) => player.name === name);
+    return player? player.timer : null;
+  }
+
+  /**
+   * Starts the turn of the player or resumes the paused clock.
+   *
+   * @param   {String}               name  Player on turn. By default the player that is on turn.
+   * @returns {TurnClock|Boolean}          False if the clock is running or has finished.
+   */
+  start(name) {
+    if (this.status === "running" || this.status === "finished") return false;
+    if (this.status === "paused") return this.resume();
+    if (name !== undefined) {
+      const index = this.players.findIndex((player) => player.name === name);
+      if (index < 0) throw new ObjectError (`${messages.unknownPlayer} ${name}`);
+      this.current = index;
+    }
+    this.status = "running";
+    this.beginTurn();
+    return this;
+  }
+
+  /**
+   * Ends the turn and starts the turn of the next player.
+   *
+   * @returns {TurnClock|Boolean} False if the clock is not running.
+   */
+  switchTurn() {
+    if (this.status !== "running") return false;
+    this.endTurn();
+    this.current = (this.current + 1) % this.players.length;
+    this.beginTurn();
+    return this;
+  }
+
+  /** @returns {TurnClock|Boolean} False if the clock is not running. */
+  pause() {
+    if (this.status !== "running") return false;
+    if (this.delayTimer !== null) {
+      this.delayRemaining = this.turn.delayEnd - this.clock.now();
+      this.clearDelay();
+    } else {
+      this.players[this.current].timer.pause();
+    }
+    this.status = "paused";
+    return this;
+  }
+
+  /** @returns {TurnClock|Boolean} False if the clock is not paused. */
+  resume() {
+    if (this.status !== "paused") return false;
+    this.status = "running";
+    if (this.delayRemaining > 0) {
+      this.startDelay(this.delayRemaining);
+    } else {
+      this.players[this.current].timer.start();
+    }
+    this.delayRemaining = 0;
+    return this;
+  }
+
+  /**
+   * Ends the turn and stops the clock. The clock can be started again.
+   *
+   * @returns {TurnClock|Boolean} False if the clock is neither running nor paused.
+   */
+  stop() {
+    if (this.status !== "running" && this.status !== "paused") return false;
+    if (this.status === "paused") this.status = "running";
+    this.endTurn();
+    this.status = "stopped";
+    return this;
+  }
+
+  beginTurn() {
+    const player = this.players[this.current];
+    this.turn = {
+      player: player.name,
+      number: this._turns.length + 1,
+      start: this.clock.now(),
+      ellapsed: player.timer.ellapsed
+    };
+    if (this.delayType === "simple" && this.delay > 0) {
+      this.startDelay(this.delay);
+    } else {
+      player.timer.start();
+    }
+    this.event.publish("turnStarted");
+  }
+
+  /** The player's time starts counting after the delay. */
+  startDelay(delay) {
+    const player = this.players[this.current];
+    this.turn.delayEnd = this.clock.now() + delay;
+    this.delayTimer = this.clock.setTimer(() => {
+      this.delayTimer = null;
+      player.timer.start();
+    }, delay);
+  }
+
+  clearDelay() {
+    if (this.delayTimer !== null) {
+      this.clock.clearTimer(this.delayTimer);
+      this.delayTimer = null;
+    }
+  }
+
+  /**
+   * Pauses the player's timer, adds the increment and records the turn.
+   *
+   * @param {Boolean} flagged True if the player's time has run out.
+   */
+  endTurn(flagged = false) {
+    const player = this.players[this.current];
+    this.clearDelay();
+    this.delayRemaining = 0;
+    if (!flagged) player.timer.pause();
+    const used = player.timer.ellapsed - this.turn.ellapsed;
+    let added = 0;
+    if (!flagged) {
+      added = this.increment + ((this.delayType === "bronstein")? Math.min(this.delay, used) : 0);
+      if (added > 0) {
+        player.timer.changeStep({step: "session", value: added, units: "milliseconds", increment: 1});
+      }
+    }
+    const end = this.clock.now();
+    const turn = {
+      player: this.turn.player,
+      number: this.turn.number,
+      start: this.turn.start,
+      end: end,
+      duration: end - this.turn.start,
+      used: used,
+      added: added
+    };
+    this._turns.push(turn);
+    this.turn = null;
+    this.event.publish("turnEnded", {turn: Object.assign({}, turn), flagged: flagged});
+  }
+
+  /** Flags the player whose time has run out and finishes the clock. */
+  flag(player) {
+    player.flagged = true;
+    this.endTurn(true);
+    this.status = "finished";
+    this.event.publish("flag", {flagged: player.name});
+  }
+}
@@ -0,0 +1,67 @@
+/* jshint esversion: 6 */
+import {isPositiveInteger} from "./mytimer.helpers";
+import ObjectError from "./mytimer.customerror";
+import messages from "./mytimer.messages";
+
+/**
+ * Registry of the units the timer can count in, with their lengths in milliseconds.
+ * The units are kept sorted from the longest to the shortest,
+ * so the registry's order is the order of the countUnits.
+ * All the timers share the registry.
+ *
+ * @type {Map}
+ */
+const units = new Map([
+  ["weeks", 604800000],
+  ["days", 86400000],
+  ["hours", 3600000],
+  ["minutes", 60000],
+  ["seconds", 1000],
+  ["deciseconds", 100],
+  ["centiseconds", 10],
+  ["milliseconds", 1]
+]);
+
+/** The units that cannot be unregistered. */
+const builtInUnits = Array.from(units.keys());
+
+/**
+ * Adds the unit to the registry.
+ * The name is lowercase, because the durations' units are parsed in lowercase (see parseUnits).
+ *
+ * @param   {String}   name  E.g. "fortnights".
+ * @param   {Number}   ms    Length of the unit in milliseconds (positive integer).
+ * @returns {Map}            The registry.
+ * @throws  {ObjectError}    If the name or the length is incorrect or the unit is already registered.
+ */
+function registerUnit(name, ms) {
+  if (typeof name !== "string" || !/^[a-z][a-z0-9_]*$/.test(name) || !isPositiveInteger(ms) || ms === 0) {
+    throw new ObjectError (messages.incorrectUnit);
+  }
+  if (units.has(name)) {
+    throw new ObjectError (`${messages.unitRegistered} ${name}`);
+  }
+  /** Keep the order: a unit of the same length follows the units registered earlier. */
+  const sorted = Array.from(units.entries()).concat([[name, ms]]).sort((a, b) => b[1] - a[1]);
+  units.clear();
+  sorted.forEach(([unit, length]) => units.set(unit, length));
+  return units;
+}
+
+/**
+ * Removes the registered unit from the registry.
+ * The timers that count in the unit should be changed before.
+ *
+ * @param   {String}   name  E.g. "fortnights".
+ * @returns {Map}            The registry.
+ * @throws  {ObjectError}    If the unit is not registered or it is one of the built-in units.
+ */
+function unregisterUnit(name) {
+  if (!units.has(name) || builtInUnits.includes(name)) {
+    throw new ObjectError (`${messages.unitNotRegistered} ${name}`);
+  }
+  units.delete(name);
+  return units;
+}
+
+export {units, registerUnit, unregisterUnit};
@@ -1,6 +1,6 @@
 /* jshint esversion: 6 */
-/** requires all tests */
-const tests = require.context('./', true, /\.spec.js$/);
+/** requires all tests, except the ones that need Node (*.node.spec.js) */
+const tests = require.context('./', true, /^(?!.*\.node\.spec\.js$).*\.spec\.js$/);
 tests.keys().forEach(tests);
 
 // const options = {
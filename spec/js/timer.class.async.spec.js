@@ -0,0 +1,104 @@
+/* jshint esversion: 6 */
+import Timer from "../../app/mytimer.class";
+import {VirtualClock} from "../../app/mytimer.clock";
+import messages from "../../app/mytimer.messages";
+
+/** Minimal AbortController. */
+class Controller {
+  constructor() {
+    this.listeners = [];
+    this.signal = {
+      aborted: false,
+      addEventListener: (type, listener) => this.listeners.push(listener),
+      removeEventListener: (type, listener) => this.listeners = this.listeners.filter((item) => item !== listener)
+    };
+  }
+
+  abort() {
+    this.signal.aborted = true;
+    this.listeners.forEach((listener) => listener());
+  }
+}
+
+describe("Timer's promises: ", () => {
+  let clock;
+  let timer;
+  let timerOptions = {
+    steps: {
+      session: {
+        value: 3,
+        units: "seconds"
+      },
+      interval: {
+        value: 1,
+        units: "milliseconds"
+      }
+    },
+    countUnits: ["minutes", "seconds"]
+  };
+
+  beforeEach(() => {
+    clock = new VirtualClock();
+    timer = new Timer(Object.assign({clock: clock}, timerOptions));
+  });
+
+  it("resolve with the completed result when the session ellapses.", (done) => {
+    timer.startAsync().then((result) => {
+      expect(result).toEqual({reason: "completed", completed: true, ellapsed: 3000, session: 3000});
+      done();
+    });
+    clock.advance(3000);
+  });
+
+  it("resolve with the stopped result when the timer is stopped.", (done) => {
+    timer.start();
+    timer.finished().then((result) => {
+      expect(result.reason).toBe("stopped");
+      expect(result.completed).toBe(false);
+      expect(result.ellapsed).toBe(1000);
+      done();
+    });
+    clock.advance(1000);
+    timer.stop();
+  });
+
+  it("resolve at once when the session has already ended.", (done) => {
+    timer.start();
+    clock.advance(3000);
+    timer.finished().then((result) => {
+      expect(result).toEqual({reason: "completed", completed: true, ellapsed: 3000, session: 3000});
+      /** The new session's promise waits for the new session. */
+      const next = timer.startAsync();
+      clock.advance(1000);
+      timer.stop();
+      return next;
+    }).then((result) => {
+      expect(result.reason).toBe("stopped");
+      expect(result.ellapsed).toBe(1000);
+      done();
+    });
+  });
+
+  it("reject and stop the timer when the signal aborts.", (done) => {
+    let controller = new Controller();
+    timer.startAsync({signal: controller.signal}).catch((error) => {
+      expect(error.name).toBe("AbortError");
+      expect(error.message).toBe(messages.sessionAborted);
+      expect(timer.status).toBe(timer._this.statuses.get("stopped"));
+      expect(controller.listeners.length).toBe(0);
+      done();
+    });
+    clock.advance(1000);
+    controller.abort();
+  });
+
+  it("reject without starting the timer when the signal has already aborted.", (done) => {
+    let controller = new Controller();
+    controller.abort();
+    timer.startAsync({signal: controller.signal}).catch((error) => {
+      expect(error.name).toBe("AbortError");
+      expect(timer.status).toBe(timer._this.statuses.get("stopped"));
+      done();
+    });
+  });
+});
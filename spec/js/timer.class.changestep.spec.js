@@ -3,12 +3,13 @@ import Defaults from "../../app/mytimer.defaults";
 import Timer from "../../app/mytimer.class";
 import scenariosChangeStep from "../scenarios/timer.scenarios.changestep";
 import messages from "../../app/mytimer.messages";
+import {VirtualClock} from "../../app/mytimer.clock";
 
 let defs = new Defaults();
 
 describe("When timer is stopped and step is changed: ", () => {
 
-  scenariosChangeStep.sessionStep.forEach((scenario) => {
+  scenariosChangeStep.sessionStep.concat(scenariosChangeStep.intervalStep).forEach((scenario) => {
     let timer = new Timer();
 
     /** expected value may be:
@@ -20,7 +21,7 @@ describe("When timer is stopped and step is changed: ", () => {
     let step = scenario.step;
 		let increment = (scenarioI === 1 || scenarioI === 0)? scenarioI : 0;
     let sign = (scenarioS === 1 || scenarioS === -1)? scenarioS : 1;
-    let expectedValue = timer._this.convert(scenario) * sign + timer.session * increment;
+    let expectedValue = timer._this.convert(scenario) * sign + timer[step] * increment;
 		/** change in scenario */
     let change = `${scenario.value} ${scenario.units}`;
 		/** test description depends on increment value */
@@ -79,3 +80,58 @@ describe("When timer is stopped and the step is decreased several times and the
     });
     console.log(timer[step]);
 });
+
+describe("When timer is counting and the interval is changed: ", () => {
+  let clock;
+  let timer;
+  let listener;
+
+  beforeEach(() => {
+    clock = new VirtualClock();
+    timer = new Timer({
+      clock: clock,
+      steps: {
+        session: {
+          value: 1,
+          units: "minutes"
+        },
+        interval: {
+          value: 1,
+          units: "seconds"
+        }
+      },
+      countUnits: ["minutes", "seconds"]
+    });
+    listener = {
+      ticks: 0,
+      changes: 0,
+      tick: () => listener.ticks++,
+      changed: () => listener.changes++
+    };
+    timer.event.subscribe(listener, "currentTime", "tick");
+    timer.event.subscribe(listener, "intervalChanged", "changed");
+  });
+
+  it("the new interval is applied immediately and the ellapsed time is kept.", () => {
+    timer.start();
+    clock.advance(2500);
+    /** The floored countdown changes just after the whole seconds: 1, 1001 and 2001 ms. */
+    expect(listener.ticks).toBe(3);
+    timer.changeStep({step: "interval", value: 5, units: "seconds"});
+    expect(timer.interval).toBe(5000);
+    expect(listener.changes).toBe(1);
+    clock.advance(2500);
+    expect(listener.ticks).toBe(3);
+    clock.advance(1);
+    expect(listener.ticks).toBe(4);
+    expect(timer.ellapsed).toBe(5001);
+  });
+
+  it("decreasing the interval below the shortest countUnit publishes the time once per second.", () => {
+    timer.start();
+    timer.changeStep({step: "interval", value: 1, units: "seconds", increment: 1, sign: -1});
+    expect(timer.interval).toBe(0);
+    clock.advance(3000);
+    expect(listener.ticks).toBe(3);
+  });
+});
@@ -0,0 +1,114 @@
+/* jshint esversion: 6 */
+import Timer from "../../app/mytimer.class";
+import {VirtualClock, systemClock, maxDelay} from "../../app/mytimer.clock";
+import messages from "../../app/mytimer.messages";
+
+describe("Timer driven by the virtual clock: ", () => {
+  let clock;
+  let timer;
+  let timerOptions = {
+    steps: {
+      session: {
+        value: 10,
+        units: "seconds"
+      },
+      interval: {
+        value: 100,
+        units: "milliseconds"
+      }
+    },
+    countUnits: ["hours", "minutes", "seconds", "milliseconds"],
+    direction: "up"
+  };
+
+  beforeEach(() => {
+    clock = new VirtualClock();
+    timer = new Timer(Object.assign({clock: clock}, timerOptions));
+  });
+
+  it("counts the time that the clock has been advanced by.", () => {
+    timer.start();
+    clock.advance(2500);
+    expect(timer.ellapsed).toBe(2500);
+    expect(timer.currentTime_seconds()).toBe(2);
+    expect(timer.currentTime_milliseconds()).toBe(500);
+  });
+
+  it("publishes the current time at intervals.", () => {
+    let listener = {count: 0, tick: () => listener.count++};
+    timer.event.subscribe(listener, "currentTime", "tick");
+    timer.start();
+    clock.advance(1000);
+    expect(listener.count).toBe(10);
+  });
+
+  it("does not count the time when paused.", () => {
+    timer.start();
+    clock.advance(1000);
+    timer.pause();
+    clock.advance(5000);
+    expect(timer.ellapsed).toBe(1000);
+    timer.start();
+    clock.advance(1000);
+    timer.stop();
+    expect(timer.ellapsed).toBe(2000);
+  });
+
+  it("finishes when the session has ellapsed.", () => {
+    timer.start();
+    clock.advance(20000);
+    expect(timer.status).toBe(timer._this.statuses.get("finished"));
+    expect(timer.ellapsed).toBe(10000);
+  });
+
+  it("does not leave timers running when stopped.", () => {
+    timer.start();
+    clock.advance(100);
+    timer.pause();
+    timer.stop();
+    expect(clock.timers.size).toBe(0);
+  });
+
+  it("caps the delays of the system clock.", () => {
+    spyOn(global, "setTimeout");
+    systemClock.setTimer(() => {}, 30 * 86400000);
+    expect(setTimeout.calls.mostRecent().args[1]).toBe(maxDelay);
+  });
+
+  it("waits again when the clock calls back too early.", () => {
+    const day = 86400000;
+    /** Clock that caps its delays at one day. */
+    const early = new VirtualClock();
+    const setTimer = early.setTimer.bind(early);
+    early.setTimer = (callback, delay) => setTimer(callback, Math.min(delay, day));
+    const timer = new Timer({
+      clock: early,
+      steps: {
+        session: {value: 1440, units: "hours"},
+        interval: {value: 720, units: "hours"}
+      },
+      countUnits: ["hours"],
+      direction: "up"
+    });
+    const listener = {
+      published: [],
+      tick: () => listener.published.push(timer.ellapsed)
+    };
+    timer.event.subscribe(listener, "currentTime", "tick");
+    timer.start();
+    early.advance(29 * day);
+    expect(listener.published).toEqual([]);
+    early.advance(day);
+    expect(listener.published).toEqual([30 * day]);
+    timer.stop();
+  });
+});
+
+describe("Timer initialised with an incorrect clock: ", () => {
+  it("warns in console and uses the default clock.", () => {
+    spyOn(console, "warn");
+    let timer = new Timer({clock: {now: () => 0}});
+    expect(console.warn).toHaveBeenCalledWith(messages.initialisedWithDefaults);
+    expect(timer.clock.now()).toBeGreaterThan(0);
+  });
+});
@@ -0,0 +1,88 @@
+/* jshint esversion: 6 */
+import Timer from "../../app/mytimer.class";
+import {VirtualClock} from "../../app/mytimer.clock";
+
+describe("When the session ends: ", () => {
+  let clock;
+  let timer;
+  let listener;
+  let timerOptions = {
+    steps: {
+      session: {
+        value: 3,
+        units: "seconds"
+      },
+      interval: {
+        value: 1,
+        units: "milliseconds"
+      }
+    },
+    countUnits: ["minutes", "seconds", "milliseconds"]
+  };
+
+  beforeEach(() => {
+    clock = new VirtualClock();
+    timer = new Timer(Object.assign({clock: clock}, timerOptions));
+    listener = {
+      events: [],
+      times: [],
+      tick: () => listener.times.push(timer.currentTime_milliseconds() + timer.currentTime_seconds() * 1000),
+      completed: () => listener.events.push("sessionCompleted"),
+      stopped: () => listener.events.push("sessionStopped")
+    };
+    timer.event.subscribe(listener, "currentTime", "tick");
+    timer.event.subscribe(listener, "sessionCompleted", "completed");
+    timer.event.subscribe(listener, "sessionStopped", "stopped");
+  });
+
+  it("naturally, the timer publishes sessionCompleted and sessionStopped and becomes finished.", () => {
+    timer.start();
+    clock.advance(5000);
+    expect(listener.events).toEqual(["sessionCompleted", "sessionStopped"]);
+    expect(timer.status).toBe(timer._this.statuses.get("finished"));
+    expect(timer.stopReason).toBe("completed");
+  });
+
+  it("naturally, the last published time is exactly zero.", () => {
+    timer.start();
+    clock.advance(5000);
+    expect(listener.times[listener.times.length - 1]).toBe(0);
+    expect(timer.ellapsed).toBe(3000);
+  });
+
+  it("naturally, even if the clock is late, the last published time is exactly zero.", () => {
+    timer.start();
+    clock.timers.forEach((scheduled) => scheduled.due += 4000);
+    clock.advance(5000);
+    expect(listener.times).toEqual([0]);
+    expect(timer.ellapsed).toBe(3000);
+  });
+
+  it("naturally, the zero already shown by the floored countdown is not published again.", () => {
+    timer = new Timer(Object.assign({clock: clock}, timerOptions, {countUnits: ["minutes", "seconds"]}));
+    let times = [];
+    timer.event.subscribe({tick: () => times.push([clock.now(), timer.currentTime_seconds()])}, "currentTime", "tick");
+    timer.start();
+    clock.advance(5000);
+    expect(times).toEqual([[1, 2], [1001, 1], [2001, 0]]);
+    expect(timer.status).toBe(timer._this.statuses.get("finished"));
+  });
+
+  it("early, the timer publishes only sessionStopped and becomes stopped.", () => {
+    timer.start();
+    clock.advance(1000);
+    timer.stop();
+    expect(listener.events).toEqual(["sessionStopped"]);
+    expect(timer.status).toBe(timer._this.statuses.get("stopped"));
+    expect(timer.stopReason).toBe("stopped");
+  });
+
+  it("the finished timer starts a new session.", () => {
+    timer.start();
+    clock.advance(5000);
+    timer.start();
+    expect(timer.status).toBe(timer._this.statuses.get("counting"));
+    expect(timer.stopReason).toBe(null);
+    expect(timer.ellapsed).toBe(0);
+  });
+});
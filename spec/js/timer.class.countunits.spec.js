@@ -0,0 +1,84 @@
+/* jshint esversion: 6 */
+import Timer from "../../app/mytimer.class";
+import {VirtualClock} from "../../app/mytimer.clock";
+import messages from "../../app/mytimer.messages";
+
+describe("Timer's countUnits changed: ", () => {
+  let clock;
+  let timer;
+
+  beforeEach(() => {
+    clock = new VirtualClock();
+    timer = new Timer({
+      clock: clock,
+      steps: {session: "1h 30m"},
+      countUnits: ["hours", "minutes"],
+      direction: "up"
+    });
+  });
+
+  it("replace the timer's methods.", () => {
+    timer.setCountUnits(["seconds", "minutes"]);
+    expect(timer.currentTime_hours).toBeUndefined();
+    expect(timer.sessionLength_hours).toBeUndefined();
+    expect(timer._this.hours).toBeUndefined();
+    expect(timer.sessionLength_minutes()).toBe(90);
+    expect(timer.sessionLength_seconds()).toBe(0);
+  });
+
+  it("are published with the previous countUnits.", () => {
+    let payload;
+    timer.event.subscribe((data) => payload = data, "countUnitsChanged");
+    timer.setCountUnits(["seconds", "minutes"]);
+    expect(payload.countUnits).toEqual(["minutes", "seconds"]);
+    expect(payload.previous).toEqual(["hours", "minutes"]);
+    expect(payload.units).toEqual({minutes: 0, seconds: 0});
+  });
+
+  it("change the moments when the time is published while counting.", () => {
+    let count = 0;
+    timer.event.subscribe(() => count++, "currentTime");
+    timer.start();
+    clock.advance(60000);
+    expect(count).toBe(1);
+    timer.setCountUnits(["minutes", "seconds"]);
+    clock.advance(10000);
+    expect(count).toBe(11);
+    expect(timer.currentTime_minutes()).toBe(1);
+    expect(timer.currentTime_seconds()).toBe(10);
+    timer.stop();
+  });
+
+  it("change the interval derived in smooth mode.", () => {
+    timer = new Timer({clock: clock, countUnits: ["hours", "minutes"], smooth: true});
+    let intervals = [];
+    timer.event.subscribe((payload) => intervals.push(payload.interval), "intervalChanged");
+    timer.setCountUnits(["minutes", "seconds"]);
+    expect(timer.interval).toBe(1000);
+    expect(intervals).toEqual([1000]);
+    timer.setCountUnits(["hours", "seconds"]);
+    expect(intervals).toEqual([1000]);
+  });
+
+  it("are not changed when incorrect.", () => {
+    spyOn(timer.event, "publish");
+    expect(() => timer.setCountUnits(["minutes", "moments"])).toThrowError(messages.countUnitsNotChanged);
+    expect(() => timer.setCountUnits([])).toThrowError(messages.countUnitsNotChanged);
+    expect(timer._this.countUnits).toEqual(["hours", "minutes"]);
+    expect(timer.currentTime_hours).toBeDefined();
+    expect(timer.event.publish).not.toHaveBeenCalled();
+  });
+
+  it("are not sorted in place.", () => {
+    const countUnits = ["seconds", "minutes"];
+    timer.setCountUnits(countUnits);
+    expect(countUnits).toEqual(["seconds", "minutes"]);
+  });
+
+  it("replace the timer's methods when the timer is restored.", () => {
+    const other = new Timer({countUnits: ["seconds"]});
+    timer.restore(other.toJSON());
+    expect(timer.currentTime_hours).toBeUndefined();
+    expect(timer.currentTime_seconds).toBeDefined();
+  });
+});
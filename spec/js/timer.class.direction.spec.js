@@ -0,0 +1,79 @@
+/* jshint esversion: 6 */
+import Timer from "../../app/mytimer.class";
+import {VirtualClock} from "../../app/mytimer.clock";
+import messages from "../../app/mytimer.messages";
+
+describe("Timer's direction: ", () => {
+  let clock;
+  let timer;
+
+  beforeEach(() => {
+    clock = new VirtualClock();
+    timer = new Timer({
+      clock: clock,
+      steps: {session: "10s"},
+      countUnits: ["seconds"],
+      direction: "down"
+    });
+  });
+
+  it("warns in console and counts down when incorrect.", () => {
+    spyOn(console, "warn");
+    const other = new Timer({direction: "sideways"});
+    expect(console.warn).toHaveBeenCalledWith(messages.initialisedWithDefaults);
+    expect(other.direction).toBe("down");
+  });
+
+  it("is changed while counting without changing the ellapsed time.", () => {
+    timer.start();
+    clock.advance(3000);
+    expect(timer.currentTime_seconds()).toBe(7);
+    expect(timer.setDirection("up")).toBe(true);
+    expect(timer.direction).toBe("up");
+    expect(timer.ellapsed).toBe(3000);
+    expect(timer.currentTime_seconds()).toBe(3);
+    clock.advance(7000);
+    expect(timer.stopReason).toBe("completed");
+  });
+
+  it("publishes directionChanged event.", () => {
+    let payload;
+    timer.event.subscribe((data) => payload = data, "directionChanged");
+    timer.start();
+    clock.advance(2500);
+    timer.setDirection("up");
+    expect(payload.direction).toBe("up");
+    expect(payload.previous).toBe("down");
+    expect(payload.units).toEqual({seconds: 2});
+    timer.stop();
+  });
+
+  it("publishes the time when the shortest countUnit changes in the new direction.", () => {
+    const ellapsed = [];
+    timer.event.subscribe((payload) => ellapsed.push(payload.ellapsed), "currentTime");
+    timer.changeStep({step: "session", value: "10500ms"});
+    timer.start();
+    clock.advance(1500);
+    timer.setDirection("up");
+    clock.advance(1000);
+    /** The floored countdown changes just after 9 seconds remain, the time counted up at 2 seconds. */
+    expect(ellapsed).toEqual([501, 2000]);
+    timer.stop();
+  });
+
+  it("is not changed when it is the same.", () => {
+    spyOn(timer.event, "publish");
+    expect(timer.setDirection("down")).toBe(false);
+    expect(timer.event.publish).not.toHaveBeenCalled();
+  });
+
+  it("throws error when incorrect.", () => {
+    expect(() => timer.setDirection("sideways")).toThrowError(messages.incorrectDirection);
+    expect(timer.direction).toBe("down");
+  });
+
+  it("of the stopwatch is only up.", () => {
+    const stopwatch = new Timer({stopwatch: true});
+    expect(() => stopwatch.setDirection("down")).toThrowError(messages.stopwatchCountsUp);
+  });
+});
@@ -0,0 +1,188 @@
+/* jshint esversion: 6 */
+import Timer from "../../app/mytimer.class";
+import {VirtualClock} from "../../app/mytimer.clock";
+import messages from "../../app/mytimer.messages";
+
+describe("When timer's listener throws error: ", () => {
+  let clock;
+  let calls;
+  let error;
+  let failing;
+  let timerOptions = {
+    steps: {
+      session: {
+        value: 3,
+        units: "seconds"
+      },
+      interval: {
+        value: 1,
+        units: "milliseconds"
+      }
+    },
+    countUnits: ["minutes", "seconds"]
+  };
+  let create = (listenerErrors) => {
+    let timer = new Timer(Object.assign({clock: clock, listenerErrors: listenerErrors}, timerOptions));
+    timer.event.subscribe(failing, "currentTime");
+    timer.event.subscribe(() => calls++, "currentTime");
+    return timer;
+  };
+
+  beforeEach(() => {
+    clock = new VirtualClock();
+    calls = 0;
+    error = new Error("listener failed");
+    failing = () => {
+      throw error;
+    };
+    spyOn(console, "error");
+  });
+
+  it("the other listeners are called and the timer completes the session.", () => {
+    let timer = create("log");
+    timer.start();
+    clock.advance(3000);
+    expect(calls).toBe(3);
+    expect(timer.status).toBe(timer._this.statuses.get("finished"));
+    expect(console.error).toHaveBeenCalledWith(error);
+  });
+
+  it("the error is published as the error event.", () => {
+    let timer = create("log");
+    let payloads = [];
+    timer.event.subscribe((payload) => payloads.push(payload), "error");
+    timer.start();
+    clock.advance(1000);
+    expect(payloads.length).toBe(1);
+    expect(payloads[0].error).toBe(error);
+    expect(payloads[0].eventName).toBe("currentTime");
+    expect(payloads[0].listener).toBe(failing);
+    expect(console.error).not.toHaveBeenCalled();
+  });
+
+  it("with 'rethrow' policy, the error is thrown after all listeners are called.", () => {
+    let timer = create("rethrow");
+    timer.start();
+    expect(() => clock.advance(1000)).toThrow(error);
+    expect(calls).toBe(1);
+    /** The timer keeps counting. */
+    expect(() => clock.advance(1000)).toThrow(error);
+    expect(calls).toBe(2);
+  });
+
+  it("with 'unsubscribe' policy, the listener is removed.", () => {
+    let timer = create("unsubscribe");
+    timer.start();
+    clock.advance(3000);
+    expect(console.error).toHaveBeenCalledTimes(1);
+    expect(timer._this.listeners.currentTime.length).toBe(1);
+    expect(calls).toBe(3);
+  });
+
+  it("with incorrect policy, the timer warns in console.", () => {
+    spyOn(console, "warn");
+    let timer = create("ignore");
+    expect(console.warn).toHaveBeenCalledWith(messages.initialisedWithDefaults);
+    expect(timer.event.errorPolicy).toBe("log");
+  });
+});
+
+describe("When timer's milestone or storage throws error: ", () => {
+  let clock;
+  let reached;
+  let error;
+  let failing;
+  let timerOptions = {
+    steps: {
+      session: {
+        value: 3,
+        units: "seconds"
+      },
+      interval: {
+        value: 1,
+        units: "milliseconds"
+      }
+    },
+    countUnits: ["minutes", "seconds"]
+  };
+  let create = (listenerErrors) => {
+    let timer = new Timer(Object.assign({clock: clock, listenerErrors: listenerErrors}, timerOptions));
+    timer.at({elapsed: {value: 1, units: "seconds"}}, failing);
+    timer.at({elapsed: {value: 2, units: "seconds"}}, () => reached++);
+    return timer;
+  };
+
+  beforeEach(() => {
+    clock = new VirtualClock();
+    reached = 0;
+    error = new Error("milestone failed");
+    failing = () => {
+      throw error;
+    };
+    spyOn(console, "error");
+  });
+
+  it("the milestone's error is published as the error event.", () => {
+    let timer = create("log");
+    let payloads = [];
+    timer.event.subscribe((payload) => payloads.push(payload), "error");
+    timer.start();
+    clock.advance(3000);
+    expect(payloads.length).toBe(1);
+    expect(payloads[0].error).toBe(error);
+    expect(payloads[0].eventName).toBe("milestone");
+    expect(payloads[0].listener).toBe(failing);
+    expect(reached).toBe(1);
+    expect(timer.status).toBe(timer._this.statuses.get("finished"));
+    expect(console.error).not.toHaveBeenCalled();
+  });
+
+  it("with 'rethrow' policy, the milestone's error is thrown and the timer keeps counting.", () => {
+    let timer = create("rethrow");
+    timer.start();
+    expect(() => clock.advance(1000)).toThrow(error);
+    expect(timer.status).toBe(timer._this.statuses.get("counting"));
+    clock.advance(2000);
+    expect(reached).toBe(1);
+    expect(timer.status).toBe(timer._this.statuses.get("finished"));
+  });
+
+  it("with 'rethrow' policy, the timer stops although the milestone's error is thrown.", () => {
+    let timer = create("rethrow");
+    timer.start();
+    clock.timers.forEach((scheduled) => scheduled.due += 5000);
+    clock.advance(1500);
+    expect(() => timer.stop()).toThrow(error);
+    expect(timer.status).toBe(timer._this.statuses.get("stopped"));
+    expect(clock.timers.size).toBe(0);
+  });
+
+  it("with 'unsubscribe' policy, the milestone is removed.", () => {
+    let timer = create("unsubscribe");
+    timer.start();
+    clock.advance(3000);
+    timer.start();
+    clock.advance(3000);
+    expect(console.error).toHaveBeenCalledTimes(1);
+    expect(reached).toBe(2);
+  });
+
+  it("the storage's error is published as the error event.", () => {
+    let adapter = {
+      load: () => null,
+      save: () => {
+        throw error;
+      },
+      remove: () => true
+    };
+    let timer = new Timer(Object.assign({clock: clock, storage: {adapter: adapter, key: "failing"}}, timerOptions));
+    let payloads = [];
+    timer.event.subscribe((payload) => payloads.push(payload), "error");
+    expect(() => timer.start()).not.toThrow();
+    /** The timer saves itself when it is reset and started. */
+    expect(payloads.length).toBe(2);
+    expect(payloads[0].error).toBe(error);
+    expect(payloads[0].eventName).toBe("storage");
+    expect(payloads[0].listener).toBe(adapter);
+  });
+});
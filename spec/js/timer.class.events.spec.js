@@ -5,10 +5,11 @@
 // TODO test real counting
 // TODO return correct values when stepChanged
 // TODO test passing negative values - error expected
-// TODO what if direction changes when ccounting?
 
 import Defaults from "../../app/mytimer.defaults";
 import Timer from "../../app/mytimer.class";
+import {VirtualClock} from "../../app/mytimer.clock";
+import messages from "../../app/mytimer.messages";
 
 describe("Timer subscribes listeners and: ", () => {
   let timer;
@@ -48,3 +49,80 @@ describe("Timer subscribes listeners and: ", () => {
     timer = null;
   });
 });
+
+describe("Timer's events: ", () => {
+  let clock;
+  let timer;
+
+  beforeEach(() => {
+    clock = new VirtualClock(1000);
+    timer = new Timer({
+      clock: clock,
+      steps: {
+        session: {
+          value: 1,
+          units: "minutes"
+        },
+        interval: {
+          value: 1,
+          units: "milliseconds"
+        }
+      },
+      countUnits: ["minutes", "seconds"]
+    });
+  });
+
+  it("are published to function listeners with the payload.", () => {
+    let payloads = [];
+    timer.event.subscribe((payload) => payloads.push(payload), "sessionStopped");
+    timer.start();
+    clock.advance(1500);
+    timer.stop();
+    expect(payloads.length).toBe(1);
+    expect(payloads[0].event).toBe("sessionStopped");
+    expect(payloads[0].status).toBe("stopped");
+    expect(payloads[0].reason).toBe("stopped");
+    expect(payloads[0].ellapsed).toBe(1500);
+    expect(payloads[0].remaining).toBe(58500);
+    expect(payloads[0].timestamp).toBe(2500);
+  });
+
+  it("are published to the object listeners with the payload.", () => {
+    let listener = {changed: (payload) => listener.session = payload.session};
+    timer.event.subscribe(listener, "sessionChanged", "changed");
+    timer.changeStep({step: "session", value: 2, units: "minutes"});
+    expect(listener.session).toBe(120000);
+  });
+
+  it("are published once to listeners subscribed with once.", () => {
+    let count = 0;
+    timer.event.once(() => count++, "currentTime");
+    timer.start();
+    clock.advance(5000);
+    expect(count).toBe(1);
+    expect(timer._this.listeners.currentTime.length).toBe(0);
+  });
+
+  it("are not published to removed listeners.", () => {
+    let count = 0;
+    let subscription = timer.event.subscribe(() => count++, "currentTime");
+    timer.start();
+    clock.advance(1000);
+    expect(subscription.remove()).toBe(true);
+    clock.advance(1000);
+    expect(count).toBe(1);
+    expect(subscription.remove()).toBe(false);
+  });
+
+  it("throw error when the event's name is unknown.", () => {
+    expect(() => timer.event.subscribe(() => {}, "sessionFinished"))
+      .toThrowError(`${messages.unknownEvent} sessionFinished`);
+    expect(() => timer.event.publish("sessionFinished"))
+      .toThrowError(`${messages.unknownEvent} sessionFinished`);
+  });
+
+  it("throw error when the listener is incorrect.", () => {
+    expect(() => timer.event.subscribe({}, "currentTime", "tick"))
+      .toThrowError(messages.incorrectListener);
+  });
+});
@@ -0,0 +1,93 @@
+/* jshint esversion: 6 */
+import Timer from "../../app/mytimer.class";
+import {VirtualClock} from "../../app/mytimer.clock";
+
+describe("Timer's formatDuration: ", () => {
+  const time = 3723450; // 1 hour 2 minutes 3 seconds 450 milliseconds
+
+  it("pads the units with zeros.", () => {
+    expect(Timer.formatDuration(time, "HH:mm:ss.SSS")).toBe("01:02:03.450");
+    expect(Timer.formatDuration(time, "H:m:s.S")).toBe("1:2:3.4");
+    expect(Timer.formatDuration(time, "ss.SS")).toBe("3723.45");
+  });
+
+  it("formats with \"HH:mm:ss\" by default.", () => {
+    expect(Timer.formatDuration(time)).toBe("01:02:03");
+  });
+
+  it("adds the time of the missing longer units to the longest unit.", () => {
+    expect(Timer.formatDuration(time, "mm:ss")).toBe("62:03");
+    expect(Timer.formatDuration(2 * 86400000 + 3600000, "d[d] HH[h]")).toBe("2d 01h");
+  });
+
+  it("hides the leading units equal to zero.", () => {
+    const options = {hideLeadingZeros: true};
+    expect(Timer.formatDuration(125000, "HH:mm:ss", options)).toBe("02:05");
+    expect(Timer.formatDuration(5000, "HH:mm:ss", options)).toBe("05");
+    expect(Timer.formatDuration(0, "[-]HH:mm:ss.S", options)).toBe("-00.0");
+    expect(Timer.formatDuration(time, "HH:mm:ss", options)).toBe("01:02:03");
+  });
+
+  it("prefixes negative durations with the sign.", () => {
+    expect(Timer.formatDuration(-65000, "mm:ss")).toBe("-01:05");
+    expect(Timer.formatDuration(-65000, "iso")).toBe("-PT1M5S");
+  });
+
+  it("formats the long form with plural rules.", () => {
+    expect(Timer.formatDuration(3900000, "long")).toBe("1 hour 5 minutes");
+    expect(Timer.formatDuration(61000, "long")).toBe("1 minute 1 second");
+    expect(Timer.formatDuration(0, "long")).toBe("0 seconds");
+    expect(Timer.formatDuration(90061000, "long", {units: ["days", "hours", "minutes"]}))
+      .toBe("1 day 1 hour 1 minute");
+  });
+
+  it("formats the long form in the locale.", () => {
+    const labels = {
+      hours: {one: "godzina", few: "godziny", many: "godzin", other: "godziny"},
+      minutes: {one: "minuta", few: "minuty", many: "minut", other: "minuty"}
+    };
+    expect(Timer.formatDuration(3900000, "long", {locale: "pl", labels: labels})).toBe("1 godzina 5 minut");
+    expect(Timer.formatDuration(7320000, "long", {locale: "pl", labels: labels})).toBe("2 godziny 2 minuty");
+  });
+
+  it("formats ISO 8601 durations.", () => {
+    expect(Timer.formatDuration(5430500, "iso")).toBe("PT1H30M30.5S");
+    expect(Timer.formatDuration(3600000, "iso")).toBe("PT1H");
+    expect(Timer.formatDuration(0, "iso")).toBe("PT0S");
+  });
+});
+
+describe("Timer's format: ", () => {
+  let clock;
+
+  beforeEach(() => {
+    clock = new VirtualClock();
+  });
+
+  it("formats the remaining time when the timer counts down.", () => {
+    const timer = new Timer({
+      clock: clock,
+      steps: {session: {value: 25, units: "minutes"}},
+      countUnits: ["minutes", "seconds"],
+      direction: "down"
+    });
+    timer.start();
+    clock.advance(1000);
+    expect(timer.format("HH:mm:ss.SSS")).toBe("00:24:59.000");
+    expect(timer.format("long")).toBe("24 minutes 59 seconds");
+    timer.stop();
+  });
+
+  it("formats the ellapsed time when the timer counts up.", () => {
+    const timer = new Timer({
+      clock: clock,
+      steps: {session: {value: 25, units: "minutes"}},
+      countUnits: ["minutes", "seconds"],
+      direction: "up"
+    });
+    timer.start();
+    clock.advance(65000);
+    expect(timer.format("mm:ss")).toBe("01:05");
+    timer.stop();
+  });
+});
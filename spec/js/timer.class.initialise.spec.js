@@ -5,7 +5,6 @@
 // TODO test real counting
 // TODO return correct values when stepChanged
 // TODO test passing negative values - error expected
-// TODO what if direction changes when ccounting?
 
 import Defaults from "../../app/mytimer.defaults";
 import Timer from "../../app/mytimer.class";
@@ -0,0 +1,105 @@
+/* jshint esversion: 6 */
+import Timer from "../../app/mytimer.class";
+import Journal from "../../app/mytimer.journal";
+import {VirtualClock} from "../../app/mytimer.clock";
+import messages from "../../app/mytimer.messages";
+
+describe("Timer with journal: ", () => {
+  let clock;
+  let timer;
+  let timerOptions = {
+    steps: {
+      session: {
+        value: 10,
+        units: "seconds"
+      },
+      interval: {
+        value: 1,
+        units: "seconds"
+      }
+    },
+    countUnits: ["minutes", "seconds"],
+    journal: true
+  };
+
+  beforeEach(() => {
+    clock = new VirtualClock(1000000);
+    timer = new Timer(Object.assign({clock: clock}, timerOptions));
+  });
+
+  it("records the session that ellapsed.", () => {
+    timer.start();
+    clock.advance(11000);
+    expect(timer.journal.entries).toEqual([{
+      start: 1000000,
+      end: 1010000,
+      session: 10000,
+      ellapsed: 10000,
+      pauses: 0,
+      pausedTime: 0,
+      completed: true
+    }]);
+  });
+
+  it("records the pauses of the session that was stopped early.", () => {
+    timer.start();
+    clock.advance(2000);
+    timer.pause();
+    clock.advance(3000);
+    timer.start();
+    clock.advance(1000);
+    timer.pause();
+    clock.advance(500);
+    timer.stop();
+    let entry = timer.journal.entries[0];
+    expect(entry.end - entry.start).toBe(6500);
+    expect(entry.ellapsed).toBe(3000);
+    expect(entry.pauses).toBe(2);
+    expect(entry.pausedTime).toBe(3500);
+    expect(entry.completed).toBe(false);
+  });
+
+  it("records every session.", () => {
+    timer.start().stop();
+    timer.start().stop();
+    expect(timer.journal.entries.length).toBe(2);
+  });
+
+  it("lists entries by date range.", () => {
+    timer.start();
+    clock.advance(1000);
+    timer.stop();
+    clock.advance(60000);
+    timer.start();
+    clock.advance(1000);
+    timer.stop();
+    expect(timer.journal.list().length).toBe(2);
+    expect(timer.journal.list({from: 1001000}).length).toBe(1);
+    expect(timer.journal.list({to: new Date(1001000)}).length).toBe(1);
+    expect(timer.journal.filter((entry) => entry.completed).length).toBe(0);
+  });
+
+  it("can be shared by timers.", () => {
+    let journal = new Journal();
+    let first = new Timer(Object.assign({}, timerOptions, {clock: clock, journal: journal}));
+    let second = new Timer(Object.assign({}, timerOptions, {clock: clock, journal: journal}));
+    first.start().stop();
+    second.start().stop();
+    expect(journal.entries.length).toBe(2);
+  });
+});
+
+describe("Timer without journal: ", () => {
+  it("does not record sessions.", () => {
+    let timer = new Timer();
+    timer.start().stop();
+    expect(timer.journal).toBe(null);
+  });
+
+  it("initialised with incorrect journal warns in console.", () => {
+    spyOn(console, "warn");
+    let timer = new Timer({journal: "yes"});
+    expect(console.warn).toHaveBeenCalledWith(messages.initialisedWithDefaults);
+    expect(timer.journal).toBe(null);
+  });
+});
@@ -0,0 +1,145 @@
+/* jshint esversion: 6 */
+import Timer from "../../app/mytimer.class";
+import {VirtualClock} from "../../app/mytimer.clock";
+import messages from "../../app/mytimer.messages";
+
+describe("Timer's milestones: ", () => {
+  let clock;
+  let timer;
+  let reached;
+  let callback;
+  let timerOptions = {
+    steps: {
+      session: {
+        value: 10,
+        units: "minutes"
+      },
+      interval: {
+        value: 1,
+        units: "milliseconds"
+      }
+    },
+    countUnits: ["minutes", "seconds"]
+  };
+
+  beforeEach(() => {
+    clock = new VirtualClock();
+    reached = [];
+    callback = (data) => reached.push(clock.now());
+  });
+
+  ["down", "up"].forEach((direction) => {
+    describe(`when the timer counts ${direction}: `, () => {
+      beforeEach(() => {
+        timer = new Timer(Object.assign({clock: clock, direction: direction}, timerOptions));
+      });
+
+      it("calls the callback exactly when the remaining time is reached.", () => {
+        timer.at({remaining: {value: 5, units: "minutes"}}, callback);
+        timer.start();
+        clock.advance(600000);
+        expect(reached).toEqual([300000]);
+      });
+
+      it("calls the callback when the ellapsed time is reached, even between the ticks.", () => {
+        timer.at({elapsed: {value: 1500, units: "milliseconds"}}, callback);
+        timer.start();
+        clock.advance(5000);
+        expect(reached).toEqual([1500]);
+      });
+
+      it("calls the callback when the percentage of the session is reached.", () => {
+        timer.at({percent: 25}, callback);
+        timer.start();
+        clock.advance(600000);
+        expect(reached).toEqual([150000]);
+      });
+    });
+  });
+
+  describe("when the timer is paused, the session changed or the timer restarted: ", () => {
+    beforeEach(() => {
+      timer = new Timer(Object.assign({clock: clock}, timerOptions));
+      timer.at({remaining: {value: 5, units: "minutes"}}, callback);
+    });
+
+    it("calls the callback once, despite the pause.", () => {
+      timer.start();
+      clock.advance(200000);
+      timer.pause();
+      clock.advance(200000);
+      expect(reached).toEqual([]);
+      timer.start();
+      clock.advance(200000);
+      expect(reached).toEqual([500000]);
+    });
+
+    it("calls the callback again when the extended session crosses the milestone again.", () => {
+      timer.start();
+      clock.advance(400000);
+      expect(reached.length).toBe(1);
+      timer.changeStep({step: "session", value: 5, units: "minutes", increment: 1});
+      clock.advance(199999);
+      expect(reached.length).toBe(1);
+      clock.advance(1);
+      expect(reached).toEqual([300000, 600000]);
+    });
+
+    it("calls the callback when the shortened session crosses the milestone.", () => {
+      timer.start();
+      clock.advance(60000);
+      timer.changeStep({step: "session", value: 5, units: "minutes", increment: 1, sign: -1});
+      expect(reached).toEqual([60000]);
+    });
+
+    it("calls the callback again when the timer is restarted.", () => {
+      timer.start();
+      clock.advance(400000);
+      timer.stop();
+      timer.start();
+      clock.advance(400000);
+      expect(reached).toEqual([300000, 700000]);
+    });
+
+    it("does not call the removed callback.", () => {
+      let milestone = timer.at({elapsed: {value: 1, units: "minutes"}}, callback);
+      expect(milestone.remove()).toBe(true);
+      timer.start();
+      clock.advance(60000);
+      expect(reached).toEqual([]);
+    });
+
+    it("does not call the callback added after its target has passed.", () => {
+      timer = new Timer(Object.assign({clock: clock}, timerOptions, {countUnits: ["minutes"]}));
+      timer.start();
+      clock.advance(30000);
+      timer.at({elapsed: {value: 10, units: "seconds"}}, callback);
+      clock.advance(120000);
+      expect(reached).toEqual([]);
+    });
+  });
+
+  it("keeps counting when the callback throws error.", () => {
+    spyOn(console, "error");
+    timer = new Timer(Object.assign({clock: clock}, timerOptions));
+    timer.at({elapsed: {value: 1, units: "minutes"}}, () => {
+      throw new Error("milestone");
+    });
+    timer.at({elapsed: {value: 1, units: "minutes"}}, callback);
+    timer.at({elapsed: {value: 2, units: "minutes"}}, callback);
+    timer.start();
+    clock.advance(120000);
+    expect(console.error).toHaveBeenCalledWith(new Error("milestone"));
+    expect(reached).toEqual([60000, 120000]);
+    expect(timer.ellapsed).toBe(120000);
+    expect(timer.status).toBe(timer._this.statuses.get("counting"));
+    expect(clock.timers.size).toBe(1);
+  });
+
+  it("throws error when the milestone is incorrect.", () => {
+    timer = new Timer(Object.assign({clock: clock}, timerOptions));
+    expect(() => timer.at({percent: 150}, callback)).toThrowError(messages.incorrectMilestone);
+    expect(() => timer.at({remaining: {value: 1}, percent: 10}, callback)).toThrowError(messages.incorrectMilestone);
+    expect(() => timer.at({percent: 10})).toThrowError(messages.incorrectMilestone);
+  });
+});
@@ -0,0 +1,122 @@
+/* jshint esversion: 6 */
+import Timer from "../../app/mytimer.class";
+import {VirtualClock} from "../../app/mytimer.clock";
+import messages from "../../app/mytimer.messages";
+
+describe("Timer in overtime: ", () => {
+  let clock;
+  let timer;
+
+  beforeEach(() => {
+    clock = new VirtualClock();
+    timer = new Timer({
+      clock: clock,
+      steps: {session: "3s"},
+      countUnits: ["minutes", "seconds"],
+      direction: "down",
+      overtime: true
+    });
+  });
+
+  it("publishes sessionOvertime once at the end of the session.", () => {
+    const published = [];
+    timer.event.subscribe((payload) => published.push(payload), "sessionOvertime");
+    timer.start();
+    clock.advance(3000);
+    expect(published.length).toBe(1);
+    expect(published[0].ellapsed).toBe(3000);
+    expect(published[0].remaining).toBe(0);
+    clock.advance(5000);
+    expect(published.length).toBe(1);
+    timer.stop();
+  });
+
+  it("keeps counting after the session has ellapsed.", () => {
+    let count = 0;
+    timer.event.subscribe(() => count++, "currentTime");
+    timer.start();
+    clock.advance(5000);
+    expect(timer.status).toBe(timer._this.statuses.get("counting"));
+    expect(timer.ellapsed).toBe(5000);
+    expect(count).toBe(5);
+    expect(timer.overtime_seconds()).toBe(2);
+    timer.stop();
+  });
+
+  it("has negative remaining time when counting down.", () => {
+    let payload;
+    timer.event.subscribe((data) => payload = data, "currentTime");
+    timer.start();
+    clock.advance(65000);
+    expect(payload.remaining).toBe(-62000);
+    expect(payload.units).toEqual({minutes: -1, seconds: -2});
+    expect(timer.currentTime_minutes()).toBe(-1);
+    expect(timer.currentTime_seconds()).toBe(-2);
+    timer.stop();
+  });
+
+  it("publishes the negative time when its rounded value changes.", () => {
+    const publish = (rounding) => {
+      const other = new Timer({clock: clock, steps: {session: "1s"}, countUnits: ["seconds"], overtime: true, rounding: rounding});
+      const published = [];
+      other.event.subscribe((payload) => published.push([payload.ellapsed, payload.units.seconds]), "currentTime");
+      other.start();
+      clock.advance(3000);
+      other.stop();
+      return published;
+    };
+    /** The floored countdown has shown 0 seconds before the end of the session. */
+    expect(publish("floor")).toEqual([[1, 0], [2000, -1], [3000, -2]]);
+    clock = new VirtualClock();
+    expect(publish("ceil")).toEqual([[1000, 0], [1001, -1], [2001, -2]]);
+  });
+
+  it("completes the session when stopped.", () => {
+    const events = [];
+    timer.event.subscribe(() => events.push("completed"), "sessionCompleted");
+    timer.event.subscribe((payload) => events.push(payload.reason), "sessionStopped");
+    timer.start();
+    clock.advance(4500);
+    timer.stop();
+    expect(events).toEqual(["completed", "completed"]);
+    expect(timer.ellapsed).toBe(4500);
+    expect(timer.status).toBe(timer._this.statuses.get("finished"));
+    expect(clock.timers.size).toBe(0);
+  });
+
+  it("stops the session early before the session has ellapsed.", () => {
+    timer.start();
+    clock.advance(1000);
+    timer.stop();
+    expect(timer.stopReason).toBe("stopped");
+    expect(timer.overtime_seconds()).toBe(0);
+  });
+
+  it("keeps the overtime when paused.", () => {
+    timer.start();
+    clock.advance(4000);
+    timer.pause();
+    clock.advance(10000);
+    expect(timer.ellapsed).toBe(4000);
+    timer.start();
+    clock.advance(1000);
+    expect(timer.overtime_seconds()).toBe(2);
+    timer.stop();
+  });
+
+  it("is not used by default.", () => {
+    const other = new Timer({clock: clock, steps: {session: "3s"}, countUnits: ["seconds"]});
+    expect(other.overtime).toBe(false);
+    other.start();
+    clock.advance(5000);
+    expect(other.ellapsed).toBe(3000);
+    expect(other.status).toBe(other._this.statuses.get("finished"));
+  });
+
+  it("warns in console when the option is incorrect.", () => {
+    spyOn(console, "warn");
+    const other = new Timer({overtime: 5});
+    expect(console.warn).toHaveBeenCalledWith(messages.initialisedWithDefaults);
+    expect(other.overtime).toBe(false);
+  });
+});
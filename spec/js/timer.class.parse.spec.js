@@ -0,0 +1,107 @@
+/* jshint esversion: 6 */
+import Timer from "../../app/mytimer.class";
+import Defaults from "../../app/mytimer.defaults";
+import messages from "../../app/mytimer.messages";
+import ObjectError from "../../app/mytimer.customerror";
+import {toMilliseconds} from "../../app/mytimer.parse";
+import {units} from "../../app/mytimer.units";
+
+describe("Duration's strings: ", () => {
+  const defs = new Defaults();
+
+  it("are parsed with units.", () => {
+    expect(defs.convert("1h 30m")).toBe(5400000);
+    expect(defs.convert("90s")).toBe(90000);
+    expect(defs.convert("1.5 hours")).toBe(5400000);
+    expect(defs.convert("2 minutes, 30 seconds")).toBe(150000);
+    expect(defs.convert("1m500ms")).toBe(60500);
+  });
+
+  it("are parsed in clock's notation.", () => {
+    expect(defs.convert("25:00")).toBe(1500000);
+    expect(defs.convert("1:30:00")).toBe(5400000);
+    expect(defs.convert("00:05.5")).toBe(5500);
+  });
+
+  it("are parsed in ISO 8601.", () => {
+    expect(defs.convert("PT1H30M")).toBe(5400000);
+    expect(defs.convert("PT0.5S")).toBe(500);
+    expect(defs.convert("pt90s")).toBe(90000);
+  });
+
+  it("are parsed as the value.", () => {
+    expect(defs.convert({value: "25:00"})).toBe(1500000);
+  });
+
+  const errors = {
+    "": messages.durationEmpty,
+    "1h 3x": `${messages.durationUnknownUnit} "x"`,
+    "1h 2h": `${messages.durationRepeatedUnit} "h"`,
+    "90": messages.durationNoUnits,
+    "5m and": `${messages.durationUnexpected} "and"`,
+    "10:75": messages.durationOutOfRange,
+    "1:2:3:4": messages.durationIncorrectClock,
+    "P1Y": messages.durationIncorrectISO,
+    "PT": messages.durationIncorrectISO
+  };
+
+  Object.keys(errors).forEach((text) => {
+    it(`throw the precise error when "${text}" is incorrect.`, () => {
+      let error;
+      try {
+        defs.convert(text);
+      } catch (e) {
+        error = e;
+      }
+      expect(error instanceof ObjectError).toBe(true);
+      expect(error.message).toBe(`${messages.incorrectDuration} "${text}" - ${errors[text]}`);
+    });
+  });
+});
+
+describe("Timer with duration's strings: ", () => {
+  it("is initialised with the steps' strings.", () => {
+    const timer = new Timer({
+      steps: {session: "25:00", interval: "500ms"},
+      countUnits: ["minutes", "seconds"]
+    });
+    expect(timer.session).toBe(1500000);
+    expect(timer.interval).toBe(500);
+  });
+
+  it("is initialised with defaults when the steps' strings are incorrect.", () => {
+    spyOn(console, "warn");
+    const timer = new Timer({
+      steps: {session: "25 apples"},
+      countUnits: ["minutes", "seconds"]
+    });
+    expect(console.warn).toHaveBeenCalledWith(messages.initialisedWithDefaults);
+    expect(timer.session).toBe(new Defaults().session);
+  });
+
+  it("changes the steps by the strings.", () => {
+    const timer = new Timer({countUnits: ["minutes", "seconds"]});
+    timer.changeStep({step: "session", value: "PT1H30M"});
+    expect(timer.session).toBe(5400000);
+    timer.changeStep({step: "session", value: "15m", sign: -1, increment: 1});
+    expect(timer.session).toBe(4500000);
+  });
+
+  it("throws the precise error when the step's string is incorrect.", () => {
+    const timer = new Timer({countUnits: ["minutes", "seconds"]});
+    expect(() => timer.changeStep({step: "session", value: "1h 3x"}))
+      .toThrowError(`${messages.incorrectDuration} "1h 3x" - ${messages.durationUnknownUnit} "x"`);
+  });
+
+  it("and the objects with value and units are converted without being changed.", () => {
+    const duration = {value: 2};
+    spyOn(console, "warn");
+    expect(toMilliseconds(duration, units)).toBe(2);
+    expect(duration).toEqual({value: 2});
+    expect(console.warn).toHaveBeenCalledWith(messages.millisecondsAssumed);
+    expect(toMilliseconds({value: 5, units: "minutes"}, units)).toBe(300000);
+    expect(toMilliseconds({value: "1m 30s"}, units)).toBe(90000);
+    expect(() => toMilliseconds({value: 5, units: "moons"}, units)).toThrowError(messages.incorrectUnits);
+    expect(() => toMilliseconds(5, units)).toThrowError(messages.notPositiveInteger);
+  });
+});
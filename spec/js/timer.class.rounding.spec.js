@@ -0,0 +1,124 @@
+/* jshint esversion: 6 */
+import Timer from "../../app/mytimer.class";
+import {VirtualClock} from "../../app/mytimer.clock";
+import messages from "../../app/mytimer.messages";
+
+describe("Timer's rounding: ", () => {
+  let clock;
+  const create = (rounding, direction = "down", countUnits = ["minutes", "seconds"]) => new Timer({
+    clock: clock,
+    steps: {session: "2m"},
+    countUnits: countUnits,
+    direction: direction,
+    rounding: rounding
+  });
+
+  beforeEach(() => {
+    clock = new VirtualClock();
+  });
+
+  it("floors the time by default.", () => {
+    const timer = create();
+    expect(timer.rounding).toBe("floor");
+    expect(timer._this.minutes(59999)).toBe(0);
+    expect(timer._this.seconds(59999)).toBe(59);
+  });
+
+  it("rounds the time up, so the units add up.", () => {
+    const timer = create("ceil");
+    expect(timer._this.minutes(59001)).toBe(1);
+    expect(timer._this.seconds(59001)).toBe(0);
+    expect(timer._this.seconds(500)).toBe(1);
+  });
+
+  it("rounds the time to the nearest shortest countUnit.", () => {
+    const timer = create("round");
+    expect(timer._this.minutes(59500)).toBe(1);
+    expect(timer._this.seconds(59500)).toBe(0);
+    expect(timer._this.seconds(59499)).toBe(59);
+  });
+
+  it("returns decimals of the longest countUnit in fractional mode.", () => {
+    const timer = create("fractional", "up", ["hours", "minutes"]);
+    expect(timer._this.hours(6300000)).toBe(1.75);
+    expect(timer._this.minutes(6300000)).toBe(0);
+  });
+
+  it("breaks down the negative time like the positive one.", () => {
+    const timer = create("ceil");
+    expect(timer._this.minutes(-60500)).toBe(-1);
+    expect(timer._this.seconds(-60500)).toBe(-1);
+    expect(timer._this.seconds(-0)).toBe(0);
+  });
+
+  it("shows the last second of the countdown when the time is rounded up.", () => {
+    const timer = create("ceil");
+    const seconds = [];
+    timer.event.subscribe(() => seconds.push(timer.currentTime_seconds()), "currentTime");
+    timer.changeStep({step: "session", value: "3s"});
+    timer.start();
+    clock.advance(2500);
+    timer.stop();
+    expect(seconds).toEqual([2, 1]);
+    /** 500 ms remain. */
+    expect(timer.currentTime_seconds()).toBe(1);
+  });
+
+  it("publishes different times of the countdown when the time is floored and rounded up.", () => {
+    const publish = (rounding) => {
+      const timer = create(rounding);
+      const published = [];
+      timer.event.subscribe((payload) => published.push([payload.ellapsed, payload.units.seconds]), "currentTime");
+      timer.changeStep({step: "session", value: "3s"});
+      timer.start();
+      clock.advance(1500);
+      published.push(["between ticks", timer.currentTime_seconds()]);
+      clock.advance(1500);
+      return published;
+    };
+    /** The floored countdown shows 0 seconds during its last second, so 0 is not published again at its end. */
+    expect(publish("floor")).toEqual([[1, 2], [1001, 1], ["between ticks", 1], [2001, 0]]);
+    clock = new VirtualClock();
+    expect(publish("ceil")).toEqual([[1000, 2], ["between ticks", 2], [2000, 1], [3000, 0]]);
+  });
+
+  it("is applied to the formatted time.", () => {
+    const timer = create("ceil");
+    timer.start();
+    clock.advance(500);
+    expect(timer.format("mm:ss")).toBe("02:00");
+    expect(timer.format("long")).toBe("2 minutes");
+    clock.advance(59000);
+    expect(timer.format("mm:ss")).toBe("01:01");
+    timer.stop();
+    const floored = create("floor");
+    floored.start();
+    clock.advance(500);
+    expect(floored.format("mm:ss")).toBe("01:59");
+    expect(floored.format("mm:ss.SSS")).toBe("01:59.500");
+    floored.stop();
+  });
+
+  it("publishes the time when the rounded time changes.", () => {
+    const timer = create("round", "up");
+    const published = [];
+    timer.event.subscribe((payload) => published.push([payload.ellapsed, payload.units.seconds]), "currentTime");
+    timer.start();
+    clock.advance(2000);
+    expect(published).toEqual([[500, 1], [1500, 2]]);
+    timer.stop();
+  });
+
+  it("is saved and restored.", () => {
+    const timer = create("round");
+    const restored = new Timer({clock: clock}).restore(timer.toJSON());
+    expect(restored.rounding).toBe("round");
+  });
+
+  it("warns in console when it is incorrect.", () => {
+    spyOn(console, "warn");
+    const timer = create("up");
+    expect(console.warn).toHaveBeenCalledWith(messages.initialisedWithDefaults);
+    expect(timer.rounding).toBe("floor");
+  });
+});
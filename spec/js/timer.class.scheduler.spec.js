@@ -0,0 +1,111 @@
+/* jshint esversion: 6 */
+import Timer from "../../app/mytimer.class";
+import {VirtualClock} from "../../app/mytimer.clock";
+
+/** Clock which calls every timer late. */
+class LateClock extends VirtualClock {
+  setTimer(callback, delay) {
+    return super.setTimer(callback, delay + 300);
+  }
+}
+
+describe("Timer's scheduler: ", () => {
+  let timerOptions = {
+    steps: {
+      session: {
+        value: 1,
+        units: "minutes"
+      },
+      interval: {
+        value: 1,
+        units: "milliseconds"
+      }
+    },
+    countUnits: ["minutes", "seconds"],
+    direction: "down"
+  };
+  let listener;
+
+  beforeEach(() => {
+    listener = {
+      times: [],
+      tick: () => listener.times.push(listener.timer.currentTime_seconds())
+    };
+  });
+
+  it("publishes the time once per change of the shortest countUnit.", () => {
+    let clock = new VirtualClock();
+    let timer = listener.timer = new Timer(Object.assign({clock: clock}, timerOptions));
+    timer.event.subscribe(listener, "currentTime", "tick");
+    timer.start();
+    clock.advance(5000);
+    expect(listener.times).toEqual([59, 58, 57, 56, 55]);
+    /** The floored countdown changes just after the whole seconds. */
+    expect(timer.currentTime_seconds()).toBe(55);
+    clock.advance(1);
+    expect(listener.times).toEqual([59, 58, 57, 56, 55, 54]);
+  });
+
+  it("wakes up on the units' boundaries after the timer was paused in between.", () => {
+    let clock = new VirtualClock();
+    let timer = listener.timer = new Timer(Object.assign({clock: clock}, timerOptions));
+    timer.start();
+    clock.advance(1500);
+    timer.pause();
+    timer.event.subscribe(listener, "currentTime", "tick");
+    timer.start();
+    clock.advance(500);
+    expect(listener.times).toEqual([]);
+    clock.advance(1);
+    expect(listener.times).toEqual([57]);
+  });
+
+  it("compensates late callbacks.", () => {
+    let clock = new LateClock();
+    let timer = listener.timer = new Timer(Object.assign({clock: clock}, timerOptions));
+    timer.event.subscribe(listener, "currentTime", "tick");
+    timer.start();
+    clock.advance(5000);
+    expect(listener.times).toEqual([59, 58, 57, 56, 55]);
+    expect(clock.timers.size).toBe(1);
+    clock.timers.forEach((scheduled) => expect(scheduled.due).toBe(5301));
+  });
+
+  it("does not publish more often than the interval.", () => {
+    let clock = new VirtualClock();
+    let options = Object.assign({clock: clock}, timerOptions, {
+      steps: {
+        session: {value: 1, units: "minutes"},
+        interval: {value: 2, units: "seconds"}
+      }
+    });
+    let timer = listener.timer = new Timer(options);
+    timer.event.subscribe(listener, "currentTime", "tick");
+    timer.start();
+    clock.advance(6000);
+    expect(listener.times).toEqual([59, 57, 55]);
+  });
+
+  it("clears the scheduled tick when the timer is destroyed while counting.", () => {
+    let clock = new VirtualClock();
+    let timer = new Timer(Object.assign({clock: clock}, timerOptions));
+    timer.start();
+    clock.advance(1500);
+    expect(clock.timers.size).toBe(1);
+    timer.destroy();
+    expect(clock.timers.size).toBe(0);
+    expect(() => clock.advance(5000)).not.toThrow();
+  });
+
+  it("reads the ellapsed time from the clock between the ticks.", () => {
+    let clock = new VirtualClock();
+    let timer = new Timer(Object.assign({clock: clock}, timerOptions, {countUnits: ["hours", "minutes"]}));
+    timer.start();
+    clock.advance(45000);
+    expect(timer.ellapsed).toBe(45000);
+    expect(timer.currentTime_minutes()).toBe(0);
+    timer.pause();
+    clock.advance(5000);
+    expect(timer.ellapsed).toBe(45000);
+  });
+});
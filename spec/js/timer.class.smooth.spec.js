@@ -0,0 +1,97 @@
+/* jshint esversion: 6 */
+import Timer from "../../app/mytimer.class";
+import {VirtualClock} from "../../app/mytimer.clock";
+import messages from "../../app/mytimer.messages";
+
+describe("Timer in smooth mode: ", () => {
+  let timerOptions = {
+    steps: {
+      session: {
+        value: 5,
+        units: "minutes"
+      },
+      interval: {
+        value: 1,
+        units: "milliseconds"
+      }
+    },
+    countUnits: ["minutes", "seconds"],
+    smooth: true
+  };
+
+  it("has the interval equal to the shortest countUnit.", () => {
+    let timer = new Timer(timerOptions);
+    expect(timer.smooth).toBe(true);
+    expect(timer.interval).toBe(1000);
+  });
+
+  it("accepts 'yes' as the smooth option.", () => {
+    let timer = new Timer(Object.assign({}, timerOptions, {smooth: "yes"}));
+    expect(timer.smooth).toBe(true);
+    expect(timer.interval).toBe(1000);
+  });
+
+  it("derives the interval again when the interval is changed.", () => {
+    let timer = new Timer(timerOptions);
+    timer.changeStep({step: "interval", value: 10, units: "seconds"});
+    expect(timer.interval).toBe(1000);
+  });
+
+  it("derives the interval again when the countUnits are changed.", () => {
+    let timer = new Timer(Object.assign({}, timerOptions, {countUnits: ["hours", "minutes"]}));
+    expect(timer.interval).toBe(60000);
+    timer._this.countUnits = ["seconds", "milliseconds"];
+    expect(timer.interval).toBe(1);
+  });
+
+  it("publishes the time once per change of the shortest countUnit.", () => {
+    let clock = new VirtualClock();
+    let timer = new Timer(Object.assign({clock: clock}, timerOptions));
+    let listener = {ticks: 0, tick: () => listener.ticks++};
+    timer.event.subscribe(listener, "currentTime", "tick");
+    timer.start();
+    clock.advance(10000);
+    expect(listener.ticks).toBe(10);
+  });
+
+  it("publishes the time more often than the interval provided in arguments.", () => {
+    const ticks = (smooth) => {
+      let clock = new VirtualClock();
+      let timer = new Timer(Object.assign({clock: clock}, timerOptions, {
+        smooth: smooth,
+        steps: {
+          session: {value: 5, units: "minutes"},
+          interval: {value: 10, units: "seconds"}
+        }
+      }));
+      let listener = {ticks: 0, tick: () => listener.ticks++};
+      timer.event.subscribe(listener, "currentTime", "tick");
+      timer.start();
+      clock.advance(10000);
+      return listener.ticks;
+    };
+    expect(ticks(true)).toBe(10);
+    expect(ticks(false)).toBe(1);
+  });
+});
+
+describe("Timer not in smooth mode: ", () => {
+  it("keeps the interval provided in arguments.", () => {
+    let timer = new Timer({
+      steps: {
+        session: {value: 5, units: "minutes"},
+        interval: {value: 10, units: "seconds"}
+      },
+      countUnits: ["minutes", "seconds"]
+    });
+    expect(timer.smooth).toBe(false);
+    expect(timer.interval).toBe(10000);
+  });
+
+  it("initialised with incorrect smooth option warns in console.", () => {
+    spyOn(console, "warn");
+    let timer = new Timer({smooth: "sometimes"});
+    expect(console.warn).toHaveBeenCalledWith(messages.initialisedWithDefaults);
+    expect(timer.smooth).toBe(false);
+  });
+});
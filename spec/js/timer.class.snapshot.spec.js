@@ -0,0 +1,85 @@
+/* jshint esversion: 6 */
+import Timer from "../../app/mytimer.class";
+import {VirtualClock} from "../../app/mytimer.clock";
+import messages from "../../app/mytimer.messages";
+
+describe("Timer saved to JSON and restored: ", () => {
+  let clock;
+  let timer;
+  let timerOptions = {
+    steps: {
+      session: {
+        value: 1,
+        units: "minutes"
+      },
+      interval: {
+        value: 1,
+        units: "seconds"
+      }
+    },
+    countUnits: ["minutes", "seconds"],
+    direction: "up"
+  };
+
+  beforeEach(() => {
+    clock = new VirtualClock(1000000);
+    timer = new Timer(Object.assign({clock: clock}, timerOptions));
+  });
+
+  it("has the same settings.", () => {
+    let restored = Timer.fromJSON(JSON.stringify(timer), {clock: clock});
+    expect(restored.session).toBe(60000);
+    expect(restored.interval).toBe(1000);
+    expect(restored._this.countUnits).toEqual(["minutes", "seconds"]);
+    expect(restored._this.direction).toBe("up");
+    expect(restored.status).toBe(restored._this.statuses.get("stopped"));
+  });
+
+  it("resumes counting as if it had never stopped.", () => {
+    timer.start();
+    clock.advance(10000);
+    let data = JSON.stringify(timer);
+    timer.destroy();
+    /** The page is reloaded after 5 seconds. */
+    clock.advance(5000);
+    let restored = Timer.fromJSON(data, {clock: clock});
+    expect(restored.status).toBe(restored._this.statuses.get("counting"));
+    expect(restored.ellapsed).toBe(15000);
+    clock.advance(5000);
+    expect(restored.currentTime_seconds()).toBe(20);
+  });
+
+  it("remains paused with the ellapsed time from before the pause.", () => {
+    timer.start();
+    clock.advance(10000);
+    timer.pause();
+    clock.advance(5000);
+    let restored = Timer.fromJSON(timer.toJSON(), {clock: clock});
+    clock.advance(5000);
+    expect(restored.status).toBe(restored._this.statuses.get("paused"));
+    expect(restored.ellapsed).toBe(10000);
+    restored.start();
+    clock.advance(1000);
+    expect(restored.ellapsed).toBe(11000);
+  });
+
+  it("finishes when the session has ellapsed while it was not restored.", () => {
+    timer.start();
+    let data = timer.toJSON();
+    clock.advance(120000);
+    let restored = Timer.fromJSON(data, {clock: clock});
+    clock.advance(1);
+    expect(restored.status).toBe(restored._this.statuses.get("finished"));
+    expect(restored.ellapsed).toBe(60000);
+  });
+
+  it("throws error when the snapshot is incorrect.", () => {
+    expect(() => Timer.fromJSON({status: "sleeping"})).toThrowError(messages.incorrectSnapshot);
+    expect(() => Timer.fromJSON("{")).toThrowError(messages.incorrectSnapshot);
+  });
+
+  it("throws error when restored while counting.", () => {
+    timer.start();
+    expect(() => timer.restore(timer.toJSON())).toThrowError(messages.notRestoredWhenCounting);
+  });
+});
@@ -5,10 +5,10 @@
 // TODO test real counting
 // TODO return correct values when stepChanged
 // TODO test passing negative values - error expected
-// TODO what if direction changes when ccounting?
 
 import Defaults from "../../app/mytimer.defaults";
 import Timer from "../../app/mytimer.class";
+import {VirtualClock} from "../../app/mytimer.clock";
 import scenariosInitialise from "../scenarios/timer.scenarios.initialise";
 
 let defs = new Defaults();
@@ -19,7 +19,8 @@ describe("Started timer: ", () => {
   let validValues = Object.keys(valid);
   validValues.forEach((validValue) => {
     it ('returns correct hours, minutes, seconds and milliseconds', () => {
-      let timer = new Timer(valid[validValue]);
+      /** The time is read from the clock, so the clock does not move. */
+      let timer = new Timer(Object.assign({clock: new VirtualClock()}, valid[validValue]));
       timer.start();
 
       timer._this.countUnits.forEach((countUnit) => {
@@ -0,0 +1,117 @@
+/* jshint esversion: 6 */
+import Timer from "../../app/mytimer.class";
+import {VirtualClock} from "../../app/mytimer.clock";
+import messages from "../../app/mytimer.messages";
+
+describe("Timer in stopwatch mode: ", () => {
+  let clock;
+  let timer;
+
+  beforeEach(() => {
+    clock = new VirtualClock();
+    timer = new Timer({
+      clock: clock,
+      steps: {session: "1s"},
+      countUnits: ["minutes", "seconds"],
+      direction: "down",
+      stopwatch: true
+    });
+  });
+
+  it("counts up without the session's limit.", () => {
+    let payload;
+    timer.event.subscribe((data) => payload = data, "currentTime");
+    timer.start();
+    clock.advance(125000);
+    expect(timer.status).toBe(timer._this.statuses.get("counting"));
+    expect(timer.currentTime_minutes()).toBe(2);
+    expect(timer.currentTime_seconds()).toBe(5);
+    expect(payload.remaining).toBeNull();
+    timer.stop();
+    expect(timer.ellapsed).toBe(125000);
+    expect(timer.stopReason).toBe("stopped");
+  });
+
+  it("publishes the time once per the shortest countUnit.", () => {
+    let count = 0;
+    timer.event.subscribe(() => count++, "currentTime");
+    timer.start();
+    clock.advance(10000);
+    expect(count).toBe(10);
+    timer.stop();
+  });
+
+  it("records the laps.", () => {
+    timer.start();
+    clock.advance(65000);
+    timer.lap();
+    clock.advance(30000);
+    timer.split();
+    clock.advance(1000);
+    expect(timer.laps).toEqual([
+      {
+        number: 1,
+        duration: 65000,
+        cumulative: 65000,
+        units: {duration: {minutes: 1, seconds: 5}, cumulative: {minutes: 1, seconds: 5}}
+      },
+      {
+        number: 2,
+        duration: 30000,
+        cumulative: 95000,
+        units: {duration: {minutes: 0, seconds: 30}, cumulative: {minutes: 1, seconds: 35}}
+      }
+    ]);
+    timer.stop();
+  });
+
+  it("publishes lap event with the lap.", () => {
+    let payload;
+    timer.event.subscribe((data) => payload = data, "lap");
+    timer.start();
+    clock.advance(1500);
+    const lap = timer.lap();
+    expect(payload.lap).toEqual(lap);
+    expect(payload.lap.duration).toBe(1500);
+    expect(payload.ellapsed).toBe(1500);
+    timer.stop();
+  });
+
+  it("records the lap when paused, but not when stopped.", () => {
+    timer.start();
+    clock.advance(2000);
+    timer.pause();
+    clock.advance(5000);
+    expect(timer.lap().cumulative).toBe(2000);
+    timer.stop();
+    expect(timer.lap()).toBe(false);
+    expect(timer.laps.length).toBe(1);
+  });
+
+  it("clears the laps when started again.", () => {
+    timer.start();
+    clock.advance(2000);
+    timer.lap();
+    timer.stop();
+    timer.start();
+    expect(timer.laps).toEqual([]);
+    timer.stop();
+  });
+
+  it("saves and restores the laps.", () => {
+    timer.start();
+    clock.advance(2000);
+    timer.lap();
+    timer.pause();
+    const restored = new Timer({clock: clock, countUnits: ["seconds"]}).restore(timer.toJSON());
+    expect(restored.stopwatch).toBe(true);
+    expect(restored.laps.map((lap) => lap.cumulative)).toEqual([2000]);
+  });
+
+  it("warns in console when the option is incorrect.", () => {
+    spyOn(console, "warn");
+    const other = new Timer({stopwatch: "always"});
+    expect(console.warn).toHaveBeenCalledWith(messages.initialisedWithDefaults);
+    expect(other.stopwatch).toBe(false);
+  });
+});
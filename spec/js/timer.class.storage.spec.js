@@ -0,0 +1,117 @@
+/* jshint esversion: 6 */
+import Timer from "../../app/mytimer.class";
+import {VirtualClock} from "../../app/mytimer.clock";
+import {MemoryStorage, LocalStorage} from "../../app/mytimer.storage";
+import messages from "../../app/mytimer.messages";
+
+describe("Timer with storage: ", () => {
+  let clock;
+  let adapter;
+  let timerOptions;
+
+  beforeEach(() => {
+    clock = new VirtualClock(1000000);
+    adapter = new MemoryStorage();
+    timerOptions = {
+      clock: clock,
+      storage: {
+        adapter: adapter,
+        key: "learning"
+      },
+      steps: {
+        session: {
+          value: 1,
+          units: "minutes"
+        },
+        interval: {
+          value: 1,
+          units: "seconds"
+        }
+      },
+      countUnits: ["minutes", "seconds"]
+    };
+  });
+
+  it("saves itself when started, paused, stopped and when the session is changed.", () => {
+    let timer = new Timer(timerOptions);
+    expect(adapter.load("learning")).toBe(null);
+    timer.start();
+    expect(adapter.load("learning").status).toBe("counting");
+    clock.advance(2000);
+    timer.pause();
+    expect(adapter.load("learning").status).toBe("paused");
+    expect(adapter.load("learning").ellapsed).toBe(2000);
+    timer.changeStep({step: "session", value: 2, units: "minutes"});
+    expect(adapter.load("learning").session).toBe(120000);
+    timer.stop();
+    expect(adapter.load("learning").status).toBe("stopped");
+  });
+
+  it("does not save itself on every published time.", () => {
+    let timer = new Timer(timerOptions);
+    timer.start();
+    spyOn(adapter, "save");
+    clock.advance(5000);
+    expect(adapter.save).not.toHaveBeenCalled();
+  });
+
+  it("is restored when initialised with the same key.", () => {
+    let timer = new Timer(timerOptions);
+    timer.start();
+    clock.advance(10000);
+    timer.destroy();
+    clock.advance(5000);
+    let restored = new Timer(timerOptions);
+    expect(restored.status).toBe(restored._this.statuses.get("counting"));
+    expect(restored.ellapsed).toBe(15000);
+  });
+
+  it("is not restored from another key.", () => {
+    let timer = new Timer(timerOptions);
+    timer.start();
+    timerOptions.storage.key = "another";
+    let another = new Timer(timerOptions);
+    expect(another.status).toBe(another._this.statuses.get("stopped"));
+  });
+
+  it("initialised with incorrect storage warns in console.", () => {
+    spyOn(console, "warn");
+    timerOptions.storage = {adapter: {}, key: "learning"};
+    let timer = new Timer(timerOptions);
+    expect(console.warn).toHaveBeenCalledWith(messages.initialisedWithDefaults);
+    expect(timer.save()).toBe(false);
+  });
+
+  it("keeps counting when the adapter fails to save it.", () => {
+    spyOn(console, "warn");
+    adapter.save = () => {
+      throw new Error("QuotaExceededError");
+    };
+    let timer = new Timer(timerOptions);
+    expect(() => timer.start()).not.toThrow();
+    expect(console.warn).toHaveBeenCalledWith(messages.notSavedToStorage);
+    clock.advance(2000);
+    expect(timer.ellapsed).toBe(2000);
+    expect(() => timer.pause()).not.toThrow();
+    expect(() => timer.stop()).not.toThrow();
+    expect(timer.status).toBe(timer._this.statuses.get("stopped"));
+    expect(() => timer.save()).toThrow();
+  });
+});
+
+describe("LocalStorage adapter: ", () => {
+  let webStorage = {
+    items: {},
+    getItem: (key) => (key in webStorage.items)? webStorage.items[key] : null,
+    setItem: (key, value) => webStorage.items[key] = String(value),
+    removeItem: (key) => delete webStorage.items[key]
+  };
+
+  it("saves, loads and removes objects.", () => {
+    let adapter = new LocalStorage(webStorage);
+    adapter.save("learning", {status: "paused"});
+    expect(adapter.load("learning")).toEqual({status: "paused"});
+    adapter.remove("learning");
+    expect(adapter.load("learning")).toBe(null);
+  });
+});
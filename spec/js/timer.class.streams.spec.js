@@ -0,0 +1,104 @@
+/* jshint esversion: 6 */
+import Timer from "../../app/mytimer.class";
+import {VirtualClock} from "../../app/mytimer.clock";
+
+describe("Timer's ticks: ", () => {
+  let clock;
+  let timer;
+  let timerOptions = {
+    steps: {
+      session: {
+        value: 3,
+        units: "seconds"
+      },
+      interval: {
+        value: 1,
+        units: "milliseconds"
+      }
+    },
+    countUnits: ["minutes", "seconds"]
+  };
+
+  beforeEach(() => {
+    clock = new VirtualClock();
+    timer = new Timer(Object.assign({clock: clock}, timerOptions));
+  });
+
+  describe("async iterator: ", () => {
+    it("iterates over the ticks till the session ends.", (done) => {
+      let iterator = timer.ticks();
+      let ticks = [];
+      let collect = () => iterator.next().then((result) => {
+        if (result.done) return ticks;
+        ticks.push(result.value);
+        return collect();
+      });
+      collect().then(() => {
+        expect(ticks.map((tick) => tick.units)).toEqual([
+          {minutes: 0, seconds: 2},
+          {minutes: 0, seconds: 1},
+          {minutes: 0, seconds: 0}
+        ]);
+        /** The floored seconds change just after the whole seconds. */
+        expect(ticks[0].ellapsed).toBe(1);
+        expect(ticks[0].remaining).toBe(2999);
+        expect(ticks[2].remaining).toBe(999);
+        done();
+      });
+      timer.start();
+      clock.advance(3000);
+    });
+
+    it("is the async iterable.", () => {
+      let iterator = timer.ticks();
+      let asyncIterator = (typeof Symbol === "function" && Symbol.asyncIterator) || "@@asyncIterator";
+      expect(iterator[asyncIterator]()).toBe(iterator);
+    });
+
+    it("unsubscribes when the consumer breaks out.", (done) => {
+      let iterator = timer.ticks();
+      expect(timer._this.listeners.currentTime.filter(Boolean).length).toBe(1);
+      iterator.return().then((result) => {
+        expect(result.done).toBe(true);
+        expect(timer._this.listeners.currentTime.filter(Boolean).length).toBe(0);
+        return iterator.next();
+      }).then((result) => {
+        expect(result.done).toBe(true);
+        done();
+      });
+    });
+  });
+
+  describe("observable: ", () => {
+    it("emits ticks and completes when the session ends.", () => {
+      let ticks = [];
+      let completed = false;
+      let subscription = timer.observe().subscribe({
+        next: (tick) => ticks.push(tick.units.seconds),
+        complete: () => completed = true
+      });
+      timer.start();
+      clock.advance(3000);
+      expect(ticks).toEqual([2, 1, 0]);
+      expect(completed).toBe(true);
+      expect(subscription.closed).toBe(true);
+    });
+
+    it("does not emit ticks after unsubscribing.", () => {
+      let ticks = [];
+      let subscription = timer.observe().subscribe((tick) => ticks.push(tick.units.seconds));
+      timer.start();
+      clock.advance(1000);
+      subscription.unsubscribe();
+      clock.advance(2000);
+      expect(ticks).toEqual([2]);
+      expect(subscription.closed).toBe(true);
+    });
+
+    it("is compatible with Symbol.observable.", () => {
+      let observable = timer.observe();
+      let observableSymbol = (typeof Symbol === "function" && Symbol.observable) || "@@observable";
+      expect(observable[observableSymbol]()).toBe(observable);
+    });
+  });
+});
@@ -0,0 +1,106 @@
+/* jshint esversion: 6 */
+import Timer from "../../app/mytimer.class";
+import {VirtualClock} from "../../app/mytimer.clock";
+import messages from "../../app/mytimer.messages";
+
+describe("Timer's units: ", () => {
+  let clock;
+
+  beforeEach(() => {
+    clock = new VirtualClock();
+  });
+
+  it("include days and weeks.", () => {
+    const timer = new Timer({
+      clock: clock,
+      steps: {session: "1w 3d 4h"},
+      countUnits: ["weeks", "days", "hours", "minutes"],
+      direction: "down"
+    });
+    expect(timer.sessionLength_weeks()).toBe(1);
+    expect(timer.sessionLength_days()).toBe(3);
+    expect(timer.sessionLength_hours()).toBe(4);
+    expect(timer.sessionLength_minutes()).toBe(0);
+  });
+
+  it("include deciseconds and centiseconds.", () => {
+    const timer = new Timer({
+      clock: clock,
+      steps: {session: {value: 10, units: "seconds"}},
+      countUnits: ["seconds", "deciseconds", "centiseconds"],
+      direction: "up"
+    });
+    let count = 0;
+    timer.event.subscribe(() => count++, "currentTime");
+    timer.start();
+    clock.advance(1250);
+    expect(timer.currentTime_seconds()).toBe(1);
+    expect(timer.currentTime_deciseconds()).toBe(2);
+    expect(timer.currentTime_centiseconds()).toBe(5);
+    /** The time is published whenever the centiseconds change. */
+    expect(count).toBe(125);
+    timer.stop();
+  });
+
+  it("sort countUnits from the longest to the shortest.", () => {
+    const timer = new Timer({countUnits: ["milliseconds", "weeks", "deciseconds", "days"]});
+    expect(timer._this.countUnits).toEqual(["weeks", "days", "deciseconds", "milliseconds"]);
+  });
+});
+
+describe("Timer's registered units: ", () => {
+  beforeAll(() => {
+    Timer.registerUnit("fortnights", 1209600000);
+  });
+
+  afterAll(() => {
+    Timer.unregisterUnit("fortnights");
+  });
+
+  it("are used in countUnits and steps.", () => {
+    const timer = new Timer({
+      steps: {session: "1 fortnights 3d"},
+      countUnits: ["days", "fortnights"]
+    });
+    expect(timer._this.countUnits).toEqual(["fortnights", "days"]);
+    expect(timer.sessionLength_fortnights()).toBe(1);
+    expect(timer.sessionLength_days()).toBe(3);
+    expect(timer._this.convert({value: 2, units: "fortnights"})).toBe(2419200000);
+  });
+
+  it("are used in the long form.", () => {
+    expect(Timer.formatDuration(1209600000 + 86400000, "long", {units: ["fortnights", "days"]}))
+      .toBe("1 fortnights 1 day");
+  });
+
+  const errors = [
+    {name: "hours", ms: 3600000, message: `${messages.unitRegistered} hours`},
+    {name: "session", ms: 1000, message: `${messages.unitReserved} session`},
+    {name: "two words", ms: 1000, message: messages.incorrectUnit},
+    {name: "halfHours", ms: 1800000, message: messages.incorrectUnit},
+    {name: "moments", ms: 0, message: messages.incorrectUnit},
+    {name: "moments", ms: 1.5, message: messages.incorrectUnit}
+  ];
+
+  errors.forEach((error) => {
+    it(`throw error when unit "${error.name}" of ${error.ms} ms is registered.`, () => {
+      expect(() => Timer.registerUnit(error.name, error.ms)).toThrowError(error.message);
+    });
+  });
+
+  it("throw error when the built-in or not registered unit is unregistered.", () => {
+    expect(() => Timer.unregisterUnit("hours")).toThrowError(`${messages.unitNotRegistered} hours`);
+    expect(() => Timer.unregisterUnit("moments")).toThrowError(`${messages.unitNotRegistered} moments`);
+  });
+});
+
+describe("Timer's unregistered units: ", () => {
+  it("are no longer used in countUnits.", () => {
+    Timer.registerUnit("quarters", 900000);
+    expect(new Timer({countUnits: ["hours", "quarters"]})._this.countUnits).toEqual(["hours", "quarters"]);
+    Timer.unregisterUnit("quarters");
+    spyOn(console, "warn");
+    new Timer({countUnits: ["hours", "quarters"]});
+    expect(console.warn).toHaveBeenCalledWith(messages.initialisedWithDefaults);
+  });
+});
@@ -0,0 +1,103 @@
+/* jshint esversion: 6 */
+import Timer from "../../app/mytimer.class";
+import {VirtualClock} from "../../app/mytimer.clock";
+import {toEventTarget, toEventEmitter} from "../../app/mytimer.interop";
+import messages from "../../app/mytimer.messages";
+
+describe("Timer's interop: ", () => {
+  let clock;
+  let timer;
+
+  beforeEach(() => {
+    clock = new VirtualClock();
+    timer = new Timer({
+      clock: clock,
+      steps: {
+        session: {
+          value: 3,
+          units: "seconds"
+        },
+        interval: {
+          value: 1,
+          units: "milliseconds"
+        }
+      },
+      countUnits: ["minutes", "seconds"]
+    });
+  });
+
+  describe("EventTarget: ", () => {
+    let target;
+
+    beforeEach(() => {
+      target = toEventTarget(timer);
+    });
+
+    it("dispatches the timer's events with the payloads as details.", () => {
+      let events = [];
+      target.addEventListener("sessionStopped", (event) => events.push(event));
+      timer.start();
+      clock.advance(3000);
+      expect(events.length).toBe(1);
+      expect(events[0].type).toBe("sessionStopped");
+      expect(events[0].detail.reason).toBe("completed");
+    });
+
+    it("supports handleEvent objects, once option and removing listeners.", () => {
+      let ticks = 0;
+      let once = 0;
+      let listener = {handleEvent: () => ticks++};
+      target.addEventListener("currentTime", listener);
+      target.addEventListener("currentTime", listener);
+      target.addEventListener("currentTime", () => once++, {once: true});
+      timer.start();
+      clock.advance(1000);
+      target.removeEventListener("currentTime", listener);
+      clock.advance(2000);
+      expect(ticks).toBe(1);
+      expect(once).toBe(1);
+      expect(timer._this.listeners.currentTime.length).toBe(0);
+    });
+
+    it("throws error when the event's name is unknown.", () => {
+      expect(() => target.addEventListener("tick", () => {}))
+        .toThrowError(`${messages.unknownEvent} tick`);
+    });
+  });
+
+  describe("EventEmitter: ", () => {
+    let emitter;
+
+    beforeEach(() => {
+      emitter = toEventEmitter(timer);
+    });
+
+    it("emits the timer's events with the payloads.", () => {
+      let reasons = [];
+      emitter.on("sessionStopped", (payload) => reasons.push(payload.reason));
+      timer.start();
+      clock.advance(1000);
+      timer.stop();
+      expect(reasons).toEqual(["stopped"]);
+    });
+
+    it("supports once, off and removeAllListeners.", () => {
+      let ticks = 0;
+      let once = 0;
+      let listener = () => ticks++;
+      emitter.on("currentTime", listener).once("currentTime", () => once++);
+      expect(emitter.listenerCount("currentTime")).toBe(2);
+      timer.start();
+      clock.advance(1000);
+      emitter.off("currentTime", listener);
+      clock.advance(1000);
+      expect(ticks).toBe(1);
+      expect(once).toBe(1);
+      emitter.on("sessionStarted", listener).on("sessionPaused", listener);
+      expect(emitter.eventNames()).toEqual(["sessionStarted", "sessionPaused"]);
+      emitter.removeAllListeners();
+      expect(emitter.listenerCount("sessionStarted")).toBe(0);
+      expect(timer._this.listeners.sessionStarted.length).toBe(0);
+    });
+  });
+});
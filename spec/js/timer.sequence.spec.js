@@ -0,0 +1,157 @@
+/* jshint esversion: 6 */
+import TimerSequence from "../../app/mytimer.sequence";
+import {VirtualClock} from "../../app/mytimer.clock";
+import messages from "../../app/mytimer.messages";
+
+describe("Timer sequence: ", () => {
+  let clock;
+  let sequence;
+  let events;
+
+  const create = (options = {}) => new TimerSequence(Object.assign({
+    phases: [
+      {name: "focus", session: "25m"},
+      {name: "shortBreak", session: "5m"}
+    ],
+    longBreak: {name: "longBreak", session: "15m", every: 2},
+    cycles: 2,
+    timer: {clock: clock, countUnits: ["minutes", "seconds"]}
+  }, options));
+
+  const record = () => {
+    ["phaseStarted", "phaseEnded", "cycleCompleted", "sequenceCompleted"].forEach((eventName) => {
+      sequence.event.subscribe((payload) => events.push([
+        eventName,
+        payload.phase? payload.phase.name : null,
+        payload.reason || payload.cycle || null
+      ]), eventName);
+    });
+  };
+
+  beforeEach(() => {
+    clock = new VirtualClock();
+    events = [];
+    sequence = create();
+    record();
+  });
+
+  it("replaces the last phase of every n-th cycle with the long break.", () => {
+    expect(sequence.phases.map((phase) => phase.name)).toEqual(["focus", "shortBreak", "focus", "longBreak"]);
+    expect(sequence.phases[3]).toEqual({name: "longBreak", session: 900000, cycle: 2, number: 4});
+  });
+
+  it("advances automatically when the phases complete.", () => {
+    sequence.start();
+    clock.advance(25 * 60000);
+    expect(sequence.phase.name).toBe("shortBreak");
+    expect(sequence.timer.statusName).toBe("counting");
+    clock.advance(5 * 60000 + 25 * 60000 + 15 * 60000);
+    expect(sequence.finished).toBe(true);
+    expect(events).toEqual([
+      ["phaseStarted", "focus", null],
+      ["phaseEnded", "focus", "completed"],
+      ["phaseStarted", "shortBreak", null],
+      ["phaseEnded", "shortBreak", "completed"],
+      ["cycleCompleted", "shortBreak", 1],
+      ["phaseStarted", "focus", null],
+      ["phaseEnded", "focus", "completed"],
+      ["phaseStarted", "longBreak", null],
+      ["phaseEnded", "longBreak", "completed"],
+      ["cycleCompleted", "longBreak", 2],
+      ["sequenceCompleted", null, null]
+    ]);
+  });
+
+  it("waits for start when autoAdvance is false.", () => {
+    sequence = create({autoAdvance: false});
+    sequence.start();
+    clock.advance(30 * 60000);
+    expect(sequence.phase.name).toBe("shortBreak");
+    expect(sequence.active).toBe(false);
+    expect(sequence.timer.ellapsed).toBe(0);
+    sequence.start();
+    clock.advance(60000);
+    expect(sequence.timer.ellapsed).toBe(60000);
+  });
+
+  it("skips, goes back and restarts the phases.", () => {
+    sequence.start();
+    clock.advance(60000);
+    sequence.skip();
+    expect(sequence.phase.name).toBe("shortBreak");
+    expect(sequence.timer.statusName).toBe("counting");
+    clock.advance(60000);
+    sequence.restartPhase();
+    expect(sequence.timer.ellapsed).toBe(0);
+    sequence.previous();
+    expect(sequence.phase.name).toBe("focus");
+    expect(sequence.timer.session).toBe(25 * 60000);
+    expect(events.filter((event) => event[0] === "phaseEnded").map((event) => event[2]))
+      .toEqual(["skipped", "restarted", "skipped"]);
+  });
+
+  it("does not start the next phase when the skipped one was not counting.", () => {
+    sequence.skip();
+    expect(sequence.phase.name).toBe("shortBreak");
+    expect(sequence.timer.statusName).toBe("stopped");
+    expect(events).toEqual([]);
+  });
+
+  it("stops the phase and stays at it.", () => {
+    sequence.start();
+    clock.advance(60000);
+    sequence.stop();
+    expect(sequence.phase.name).toBe("focus");
+    expect(sequence.timer.ellapsed).toBe(0);
+    expect(events[events.length - 1]).toEqual(["phaseEnded", "focus", "stopped"]);
+  });
+
+  it("publishes the ended cycle's phase and progress with cycleCompleted.", () => {
+    let payload;
+    sequence.event.subscribe((data) => payload = data, "cycleCompleted");
+    sequence.start();
+    clock.advance(25 * 60000);
+    sequence.skip();
+    expect(payload.cycle).toBe(1);
+    expect(payload.phase).toEqual({name: "shortBreak", session: 300000, cycle: 1, number: 2});
+    expect(payload.progress.cycle).toBe(1);
+    expect(payload.progress.phase).toBe(2);
+  });
+
+  it("reports the progress across the sequence.", () => {
+    sequence.start();
+    clock.advance(30 * 60000);
+    clock.advance(7 * 60000);
+    expect(sequence.progress).toEqual({
+      phase: 3,
+      phases: 4,
+      cycle: 2,
+      cycles: 2,
+      ellapsed: 37 * 60000,
+      total: 70 * 60000,
+      percent: 37 / 70 * 100
+    });
+  });
+
+  it("publishes the phase and the progress in the payload.", () => {
+    let payload;
+    sequence.event.subscribe((data) => payload = data, "phaseStarted");
+    sequence.start();
+    expect(payload.phase.name).toBe("focus");
+    expect(payload.progress.percent).toBe(0);
+  });
+
+  it("starts again from the first phase when finished.", () => {
+    sequence.start();
+    clock.advance(70 * 60000);
+    sequence.start();
+    expect(sequence.phase.name).toBe("focus");
+    expect(sequence.timer.statusName).toBe("counting");
+  });
+
+  it("throws error when the phases are incorrect.", () => {
+    expect(() => create({phases: []})).toThrowError(messages.incorrectPhase);
+    expect(() => create({phases: [{session: "5m"}]})).toThrowError(messages.incorrectPhase);
+    expect(() => create({cycles: 0})).toThrowError(messages.incorrectCycles);
+  });
+});
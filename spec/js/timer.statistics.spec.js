@@ -0,0 +1,80 @@
+/* jshint esversion: 6 */
+import Statistics from "../../app/mytimer.statistics";
+import Journal from "../../app/mytimer.journal";
+
+/** Creates the journal's entry of the session started at 10 a.m. of the local date. */
+const entry = (month, day, ellapsed, completed = true) => {
+  const start = new Date(2018, month, day, 10).getTime();
+  return {
+    start: start,
+    end: start + ellapsed,
+    session: 1500000,
+    ellapsed: ellapsed,
+    pauses: 0,
+    pausedTime: 0,
+    completed: completed
+  };
+};
+
+describe("Statistics of the recorded sessions: ", () => {
+  let statistics;
+
+  beforeEach(() => {
+    statistics = new Statistics(new Journal([
+      entry(0, 1, 1500000),
+      entry(0, 1, 600000, false),
+      entry(0, 2, 1500000),
+      entry(0, 3, 1500000),
+      entry(0, 5, 300000, false),
+      entry(0, 8, 1500000),
+      entry(0, 9, 1500000)
+    ]));
+  });
+
+  it("sum up the focused time per day.", () => {
+    expect(statistics.totalByDay()).toEqual({
+      "2018-01-01": 2100000,
+      "2018-01-02": 1500000,
+      "2018-01-03": 1500000,
+      "2018-01-05": 300000,
+      "2018-01-08": 1500000,
+      "2018-01-09": 1500000
+    });
+  });
+
+  it("sum up the focused time per ISO week.", () => {
+    expect(statistics.totalByWeek()).toEqual({
+      "2018-W01": 5400000,
+      "2018-W02": 3000000
+    });
+  });
+
+  it("calculate the completion rate.", () => {
+    expect(statistics.completionRate()).toBeCloseTo(5 / 7);
+  });
+
+  it("calculate the average session's length.", () => {
+    expect(statistics.averageLength()).toBe(8400000 / 7);
+  });
+
+  it("find the longest streak of days with a completed session.", () => {
+    expect(statistics.longestStreak()).toBe(3);
+  });
+
+  it("prepare data for a calendar heatmap.", () => {
+    let heatmap = statistics.heatmap({from: new Date(2017, 11, 31), to: new Date(2018, 0, 9)});
+    expect(heatmap.length).toBe(10);
+    expect(heatmap[0]).toEqual({date: "2017-12-31", value: 0, count: 0, level: 0});
+    expect(heatmap[1]).toEqual({date: "2018-01-01", value: 2100000, count: 2, level: 4});
+    expect(heatmap[2].level).toBe(3);
+    expect(heatmap[5].level).toBe(1);
+  });
+
+  it("return zeros when there are no sessions.", () => {
+    let empty = new Statistics([]);
+    expect(empty.completionRate()).toBe(0);
+    expect(empty.averageLength()).toBe(0);
+    expect(empty.longestStreak()).toBe(0);
+    expect(empty.heatmap()).toEqual([]);
+  });
+});
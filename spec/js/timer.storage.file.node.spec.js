@@ -0,0 +1,71 @@
+/* jshint esversion: 6, node: true */
+/** Needs Node's fs, so it is not a part of the browser's tests (see index.js). */
+import fs from "fs";
+import os from "os";
+import path from "path";
+import Timer from "../../app/mytimer.class";
+import {VirtualClock} from "../../app/mytimer.clock";
+import FileStorage from "../../app/mytimer.storage.file";
+
+describe("File storage: ", () => {
+  let root;
+  let directory;
+  let adapter;
+
+  /** Removes the directory with its files and subdirectories. */
+  const removeDirectory = (dir) => {
+    if (!fs.existsSync(dir)) return;
+    fs.readdirSync(dir).forEach((name) => {
+      const file = path.join(dir, name);
+      if (fs.statSync(file).isDirectory()) {
+        removeDirectory(file);
+      } else {
+        fs.unlinkSync(file);
+      }
+    });
+    fs.rmdirSync(dir);
+  };
+
+  beforeEach(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), "mytimer-"));
+    directory = path.join(root, "timers", "learning");
+    adapter = new FileStorage(directory);
+  });
+
+  afterEach(() => {
+    removeDirectory(root);
+  });
+
+  it("creates the directory when the first object is saved.", () => {
+    expect(fs.existsSync(directory)).toBe(false);
+    expect(adapter.load("timer")).toBeNull();
+    adapter.save("timer", {status: "paused"});
+    expect(fs.existsSync(directory)).toBe(true);
+    expect(adapter.load("timer")).toEqual({status: "paused"});
+  });
+
+  it("keeps every key in its own file.", () => {
+    adapter.save("a/b", {value: 1});
+    adapter.save("c", {value: 2});
+    expect(fs.readdirSync(directory).sort()).toEqual(["a%2Fb.json", "c.json"]);
+    expect(adapter.load("a/b")).toEqual({value: 1});
+  });
+
+  it("removes the object.", () => {
+    adapter.save("timer", {status: "paused"});
+    adapter.remove("timer");
+    expect(adapter.load("timer")).toBeNull();
+    expect(() => adapter.remove("timer")).not.toThrow();
+  });
+
+  it("saves and restores the timer.", () => {
+    const clock = new VirtualClock();
+    const options = {clock: clock, storage: {adapter: adapter, key: "learning"}, countUnits: ["seconds"]};
+    const timer = new Timer(options);
+    timer.start();
+    clock.advance(2000);
+    timer.pause();
+    const restored = new Timer(options);
+    expect(restored.ellapsed).toBe(2000);
+  });
+});
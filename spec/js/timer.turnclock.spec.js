@@ -0,0 +1,167 @@
+/* jshint esversion: 6 */
+import TurnClock from "../../app/mytimer.turnclock";
+import {VirtualClock} from "../../app/mytimer.clock";
+import {MemoryStorage} from "../../app/mytimer.storage";
+import messages from "../../app/mytimer.messages";
+
+describe("Turn clock: ", () => {
+  let clock;
+  let chess;
+  let events;
+
+  const create = (options = {}) => new TurnClock(Object.assign({
+    players: ["white", "black"],
+    time: "1m",
+    timer: {clock: clock, countUnits: ["seconds"]}
+  }, options));
+
+  const remaining = () => chess.state.map((player) => player.remaining);
+
+  beforeEach(() => {
+    clock = new VirtualClock();
+    events = [];
+    chess = create();
+    ["turnStarted", "turnEnded", "flag"].forEach((eventName) => {
+      chess.event.subscribe((payload) => events.push([eventName, payload.player]), eventName);
+    });
+  });
+
+  it("counts only the time of the player on turn.", () => {
+    chess.start();
+    clock.advance(10000);
+    expect(chess.switchTurn()).toBe(chess);
+    clock.advance(4000);
+    expect(remaining()).toEqual([50000, 56000]);
+    expect(chess.timer("white").statusName).toBe("paused");
+    expect(chess.timer("black").statusName).toBe("counting");
+    expect(events).toEqual([
+      ["turnStarted", "white"],
+      ["turnEnded", "white"],
+      ["turnStarted", "black"]
+    ]);
+  });
+
+  it("reports the remaining time between the ticks.", () => {
+    chess.start();
+    clock.advance(500);
+    expect(remaining()).toEqual([59500, 60000]);
+  });
+
+  it("starts the turn of the chosen player.", () => {
+    chess.start("black");
+    clock.advance(1000);
+    expect(remaining()).toEqual([60000, 59000]);
+    expect(chess.start()).toBe(false);
+    expect(() => create().start("red")).toThrowError(`${messages.unknownPlayer} red`);
+  });
+
+  it("records the turns.", () => {
+    chess.start();
+    clock.advance(3000);
+    chess.switchTurn();
+    clock.advance(5000);
+    chess.stop();
+    expect(chess.turns).toEqual([
+      {player: "white", number: 1, start: 0, end: 3000, duration: 3000, used: 3000, added: 0},
+      {player: "black", number: 2, start: 3000, end: 8000, duration: 5000, used: 5000, added: 0}
+    ]);
+    expect(chess.status).toBe("stopped");
+  });
+
+  it("adds the Fischer increment after the move.", () => {
+    chess = create({increment: "2s"});
+    chess.start();
+    clock.advance(5000);
+    chess.switchTurn();
+    expect(remaining()).toEqual([57000, 60000]);
+    expect(chess.turns[0].added).toBe(2000);
+  });
+
+  it("does not count the player's time during the simple delay.", () => {
+    chess = create({delay: "3s"});
+    chess.start();
+    clock.advance(2000);
+    chess.switchTurn();
+    clock.advance(5000);
+    expect(remaining()).toEqual([60000, 58000]);
+    expect(chess.turns[0]).toEqual(jasmine.objectContaining({duration: 2000, used: 0}));
+  });
+
+  it("keeps the rest of the simple delay when paused.", () => {
+    chess = create({delay: "3s"});
+    chess.start();
+    clock.advance(1000);
+    chess.pause();
+    clock.advance(10000);
+    chess.resume();
+    clock.advance(3000);
+    expect(remaining()).toEqual([59000, 60000]);
+  });
+
+  it("adds back the time used up to the Bronstein delay.", () => {
+    chess = create({delay: "3s", delayType: "bronstein"});
+    chess.start();
+    clock.advance(2000);
+    chess.switchTurn();
+    clock.advance(5000);
+    chess.switchTurn();
+    expect(remaining()).toEqual([60000, 58000]);
+    expect(chess.turns.map((turn) => turn.added)).toEqual([2000, 3000]);
+  });
+
+  it("pauses and resumes the player on turn.", () => {
+    chess.start();
+    clock.advance(1000);
+    expect(chess.pause()).toBe(chess);
+    expect(chess.switchTurn()).toBe(false);
+    clock.advance(5000);
+    chess.start();
+    clock.advance(1000);
+    expect(remaining()).toEqual([58000, 60000]);
+  });
+
+  it("flags the player whose time runs out.", () => {
+    let payload;
+    chess.event.subscribe((data) => payload = data, "flag");
+    chess.start();
+    clock.advance(1000);
+    chess.switchTurn();
+    clock.advance(60000);
+    expect(payload.flagged).toBe("black");
+    expect(chess.status).toBe("finished");
+    expect(chess.state[1].flagged).toBe(true);
+    expect(chess.turns[1]).toEqual(jasmine.objectContaining({player: "black", used: 60000, added: 0}));
+    expect(events.slice(-2)).toEqual([["turnEnded", "black"], ["flag", "black"]]);
+    expect(chess.switchTurn()).toBe(false);
+    expect(chess.start()).toBe(false);
+  });
+
+  it("passes the turn around more than two players.", () => {
+    chess = create({players: ["a", {name: "b", time: "30s"}, "c"]});
+    chess.start();
+    chess.switchTurn();
+    chess.switchTurn();
+    chess.switchTurn();
+    expect(chess.turns.map((turn) => turn.player)).toEqual(["a", "b", "c"]);
+    expect(chess.state[1].remaining).toBe(30000);
+  });
+
+  it("saves each player's timer under its own key.", () => {
+    const adapter = new MemoryStorage();
+    chess = create({timer: {clock: clock, countUnits: ["seconds"], storage: {adapter: adapter, key: "game"}}});
+    chess.start();
+    clock.advance(10000);
+    chess.switchTurn();
+    expect(adapter.load("game")).toBeNull();
+    expect(adapter.load("game.white").ellapsed).toBe(10000);
+    expect(adapter.load("game.black").status).toBe("counting");
+  });
+
+  it("throws error when the options are incorrect.", () => {
+    expect(() => create({players: ["white"]})).toThrowError(messages.incorrectPlayers);
+    expect(() => create({players: ["white", "white"]})).toThrowError(messages.incorrectPlayers);
+    expect(() => create({time: "0s"})).toThrowError(messages.incorrectPlayers);
+    expect(() => create({delayType: "hourglass"})).toThrowError(messages.incorrectDelayType);
+    expect(() => create({increment: "two seconds"})).toThrowError(new RegExp(messages.incorrectTimeControl));
+  });
+});
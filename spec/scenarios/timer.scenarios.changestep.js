@@ -41,7 +41,26 @@ const scenarios = {
       sign: -1
     }
   ],
-  intervalStep: [],
+  intervalStep: [
+    {
+      step: "interval",
+      value: 1,
+      units: "seconds"
+    },
+    {
+      step: "interval",
+      value: 500,
+      units: "milliseconds",
+      increment: 1
+    },
+    {
+      step: "interval",
+      value: 1,
+      units: "seconds",
+      increment: 1,
+      sign: -1
+    }
+  ],
   invalidStep: [
     {
       step: "invalid",